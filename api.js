@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * HTTP API for the dashboard / internal tools (Express 5).
+ *
+ * Enabled when API_PORT is set. Every route except /health needs `Authorization: Bearer <API_TOKEN>`.
+ *
+ * Reads (filters are query params, paginated with ?limit= (max 500) & ?offset=):
+ * - GET /users            tg_id, username, referred_by, from, to (created_at)
+ * - GET /users/:tgId      user + subscriptions + last 50 invoices + balance (raw units per currency)
+ * - GET /subscriptions    tg_id, product, active=true|false
+ * - GET /invoices         tg_id, product, status, currency, promo_code, from, to (created_at)
+ * - GET /payments         tx_sig, invoice_id, payer, currency, from, to (created_at)
+ *
+ * Mutations (same actions as the /admin panel, audited with actor "api"):
+ * - POST /subscriptions/grant    { tg_id, product, months } or { tg_id, product, days }
+ * - POST /subscriptions/revoke   { tg_id, product }
+ * - POST /invoices/:id/cancel
+ *
+ * Health: GET /health -> bot polling state, DB status, last cron runs (503 when unhealthy)
+ *
+ * from / to accept unix seconds or an ISO date (2025-01-31).
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Thrown inside handlers -> JSON error with that status
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseTs(v, name) {
+  if (v == null || v === "") return null;
+  const ts = /^\d+$/.test(String(v)) ? Number(v) : Math.floor(Date.parse(String(v)) / 1000);
+  if (!Number.isFinite(ts)) throw new ApiError(400, `Invalid ${name} (unix seconds or ISO date)`);
+  return ts;
+}
+
+function parsePage(q) {
+  const limit = q.limit == null ? DEFAULT_LIMIT : Number(q.limit);
+  const offset = q.offset == null ? 0 : Number(q.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new ApiError(400, `limit must be 1-${MAX_LIMIT}`);
+  if (!Number.isInteger(offset) || offset < 0) throw new ApiError(400, "offset must be >= 0");
+  return { limit, offset };
+}
+
+// Whitelisted equality filters + optional time range -> paginated { data, total, limit, offset }
+function listRoute(db, { table, filters, timeColumn, orderBy, where: extraWhere }) {
+  return (req, res) => {
+    const where = [];
+    const params = {};
+
+    for (const [param, normalize] of Object.entries(filters)) {
+      const v = req.query[param];
+      if (v == null || v === "") continue;
+      where.push(`${param} = @${param}`);
+      params[param] = normalize ? normalize(String(v)) : String(v);
+    }
+    if (timeColumn) {
+      const from = parseTs(req.query.from, "from");
+      const to = parseTs(req.query.to, "to");
+      if (from != null) { where.push(`${timeColumn} >= @from`); params.from = from; }
+      if (to != null) { where.push(`${timeColumn} <= @to`); params.to = to; }
+    }
+    if (extraWhere) extraWhere(req.query, where, params);
+
+    const { limit, offset } = parsePage(req.query);
+    const sqlWhere = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM ${table} ${sqlWhere}`).get(params).n;
+    const data = db.prepare(`SELECT * FROM ${table} ${sqlWhere} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    res.json({ data, total, limit, offset });
+  };
+}
+
+function bearerAuth(token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (req, res, next) => {
+    const got = Buffer.from(req.get("authorization") || "");
+    if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  };
+}
+
+/**
+ * deps:
+ * - db: better-sqlite3 handle
+ * - token: API bearer token
+ * - maxMonths: grant limit (MAX_MONTHS_PER_PURCHASE)
+ * - health(): { ok, ... }
+ * - actions: { getProduct(key), grant(tgId, product, months), extend(tgId, product, days),
+ *              revoke(tgId, product), cancelInvoice(id) }
+ */
+function createApi({ db, token, health, actions, maxMonths = 60 }) {
+  if (!token) throw new Error("API_TOKEN is required when the HTTP API is enabled");
+
+  const app = express();
+  app.disable("x-powered-by");
+  app.use(express.json({ limit: "32kb" }));
+
+  app.get("/health", (req, res) => {
+    const h = health();
+    res.status(h.ok ? 200 : 503).json(h);
+  });
+
+  app.use(bearerAuth(token));
+
+  app.get("/users", listRoute(db, {
+    table: "users",
+    filters: { tg_id: null, username: v => v.replace(/^@/, "").toLowerCase(), referred_by: null },
+    timeColumn: "created_at",
+    orderBy: "created_at DESC",
+  }));
+
+  app.get("/users/:tgId", (req, res) => {
+    const tgId = String(req.params.tgId);
+    const user = db.prepare(`SELECT * FROM users WHERE tg_id=?`).get(tgId);
+    if (!user) throw new ApiError(404, "User not found");
+    res.json({
+      user,
+      subscriptions: db.prepare(`SELECT * FROM subscriptions WHERE tg_id=? ORDER BY product`).all(tgId),
+      invoices: db.prepare(`SELECT * FROM invoices WHERE tg_id=? ORDER BY id DESC LIMIT 50`).all(tgId),
+      balance: db.prepare(`SELECT currency, SUM(units) AS units FROM credit_ledger WHERE tg_id=? GROUP BY currency`).all(tgId),
+    });
+  });
+
+  app.get("/subscriptions", listRoute(db, {
+    table: "subscriptions",
+    filters: { tg_id: null, product: null },
+    orderBy: "expires_at DESC",
+    where(q, where, params) {
+      if (q.active == null) return;
+      if (q.active !== "true" && q.active !== "false") throw new ApiError(400, "active must be true or false");
+      where.push(q.active === "true" ? "expires_at > @now" : "expires_at <= @now");
+      params.now = Math.floor(Date.now() / 1000);
+    },
+  }));
+
+  app.get("/invoices", listRoute(db, {
+    table: "invoices",
+    filters: { tg_id: null, product: null, status: null, currency: v => v.toUpperCase(), promo_code: v => v.toUpperCase() },
+    timeColumn: "created_at",
+    orderBy: "id DESC",
+  }));
+
+  app.get("/payments", listRoute(db, {
+    table: "payments",
+    filters: { tx_sig: null, invoice_id: Number, payer: null, currency: v => v.toUpperCase() },
+    timeColumn: "created_at",
+    orderBy: "created_at DESC",
+  }));
+
+  app.post("/subscriptions/grant", async (req, res) => {
+    const { tg_id, product, months, days } = req.body || {};
+    if (!/^\d+$/.test(String(tg_id || ""))) throw new ApiError(400, "tg_id is required");
+    if (!actions.getProduct(product)) throw new ApiError(400, "Unknown product");
+
+    let expires_at;
+    if (months != null) {
+      if (!Number.isInteger(months) || months < 1 || months > maxMonths) throw new ApiError(400, `months must be 1-${maxMonths}`);
+      expires_at = await actions.grant(String(tg_id), product, months);
+    } else if (days != null) {
+      if (!Number.isInteger(days) || days < 1) throw new ApiError(400, "days must be a positive integer");
+      expires_at = await actions.extend(String(tg_id), product, days);
+    } else {
+      throw new ApiError(400, "months or days is required");
+    }
+    res.json({ ok: true, tg_id: String(tg_id), product, expires_at });
+  });
+
+  app.post("/subscriptions/revoke", (req, res) => {
+    const { tg_id, product } = req.body || {};
+    if (!actions.revoke(String(tg_id || ""), String(product || ""))) throw new ApiError(404, "Subscription not found");
+    res.json({ ok: true });
+  });
+
+  app.post("/invoices/:id/cancel", (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) throw new ApiError(400, "Invalid invoice id");
+    if (!actions.cancelInvoice(id)) throw new ApiError(409, "Invoice not found or not pending");
+    res.json({ ok: true });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: "Not found" }));
+
+  // Express 5 forwards thrown errors / rejected promises here
+  app.use((err, req, res, next) => {
+    if (err instanceof ApiError) return res.status(err.status).json({ error: err.message });
+    if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Invalid JSON body" });
+    console.error("api error:", err);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return app;
+}
+
+module.exports = { createApi };
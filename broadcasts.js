@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * Broadcasts — owner announcements sent through a persistent, throttled queue.
+ *
+ * create() snapshots the audience into broadcast_recipients (one row per user): a restart resumes
+ * where sending stopped, and users who arrive later are not added. sendDue() sends pending rows
+ * at most ratePerSecond (Telegram allows ~30 messages / second per bot).
+ *
+ * Audiences (from users + subscriptions; users who blocked the bot are always left out):
+ * - all                 every known user
+ * - product:<key>       active holders of the product (or of a bundle that includes it)
+ * - expired:<days>      no active subscription, the last one ended within <days> days
+ * - never               no subscription and no paid invoice
+ *
+ * Send results per recipient: sent | failed (after maxAttempts) | blocked (403: bot blocked or
+ * account deleted -> users.blocked_at). A 429 pauses the whole queue for retry_after seconds.
+ * onDone(broadcast, counts) runs once the last recipient of a broadcast is settled.
+ */
+
+function parseAudience(str) {
+  const [kind, arg] = String(str || "").split(":");
+  if (kind === "all" || kind === "never") return { kind };
+  if (kind === "product" && arg) return { kind, product: arg };
+  if (kind === "expired" && Number(arg) > 0) return { kind, days: Math.floor(Number(arg)) };
+  return null;
+}
+
+function createBroadcasts({ db, send, onDone = () => {}, holderProducts = (key) => [key], ratePerSecond = 25, batchSize = 100, maxAttempts = 3 }) {
+  const nowTs = () => Math.floor(Date.now() / 1000);
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  const q = {
+    create: db.prepare(`
+      INSERT INTO broadcasts(text, entities, photo, buttons, audience, status, total, created_by, created_at)
+      VALUES (@text, @entities, @photo, @buttons, @audience, 'sending', 0, @created_by, @created_at)
+    `),
+    setTotal: db.prepare(`UPDATE broadcasts SET total=? WHERE id=?`),
+    addRecipient: db.prepare(`INSERT OR IGNORE INTO broadcast_recipients(broadcast_id, tg_id, status) VALUES (?, ?, 'pending')`),
+    get: db.prepare(`SELECT * FROM broadcasts WHERE id=?`),
+    recent: db.prepare(`SELECT * FROM broadcasts ORDER BY id DESC LIMIT ?`),
+    counts: db.prepare(`SELECT status, COUNT(*) AS n FROM broadcast_recipients WHERE broadcast_id=? GROUP BY status`),
+    listDue: db.prepare(`
+      SELECT r.*, b.text, b.entities, b.photo, b.buttons FROM broadcast_recipients r
+      JOIN broadcasts b ON b.id = r.broadcast_id
+      WHERE r.status='pending' AND b.status='sending' ORDER BY r.broadcast_id, r.rowid LIMIT ?
+    `),
+    markSent: db.prepare(`UPDATE broadcast_recipients SET status='sent', attempts=attempts+1, error=NULL, sent_at=? WHERE broadcast_id=? AND tg_id=?`),
+    markResult: db.prepare(`UPDATE broadcast_recipients SET status=?, attempts=?, error=? WHERE broadcast_id=? AND tg_id=?`),
+    markBlocked: db.prepare(`UPDATE users SET blocked_at=? WHERE tg_id=? AND blocked_at IS NULL`),
+    listFinished: db.prepare(`
+      SELECT * FROM broadcasts b WHERE status='sending'
+      AND NOT EXISTS (SELECT 1 FROM broadcast_recipients r WHERE r.broadcast_id=b.id AND r.status='pending')
+    `),
+    finish: db.prepare(`UPDATE broadcasts SET status=?, finished_at=? WHERE id=? AND status='sending'`),
+    cancel: db.prepare(`UPDATE broadcasts SET status='cancelled', finished_at=? WHERE id=? AND status='sending'`),
+  };
+
+  // Audience -> SQL returning tg_id (named params: now, since, products)
+  const AUDIENCE_SQL = {
+    all: `SELECT tg_id FROM users WHERE blocked_at IS NULL`,
+    product: `
+      SELECT DISTINCT s.tg_id FROM subscriptions s JOIN users u ON u.tg_id = s.tg_id
+      WHERE u.blocked_at IS NULL AND s.expires_at > @now AND s.product IN (SELECT value FROM json_each(@products))
+    `,
+    expired: `
+      SELECT s.tg_id FROM subscriptions s JOIN users u ON u.tg_id = s.tg_id WHERE u.blocked_at IS NULL
+      GROUP BY s.tg_id HAVING MAX(s.expires_at) <= @now AND MAX(s.expires_at) > @since
+    `,
+    never: `
+      SELECT u.tg_id FROM users u WHERE u.blocked_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM subscriptions s WHERE s.tg_id = u.tg_id)
+      AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.tg_id = u.tg_id AND i.status IN ('paid', 'refunded'))
+    `,
+  };
+
+  function audienceIds(audience) {
+    const a = parseAudience(audience);
+    if (!a) throw new Error(`Unknown audience ${audience}`);
+    const t = nowTs();
+    const params = {
+      now: t,
+      since: t - (a.days || 0) * 86400,
+      products: JSON.stringify(a.product ? holderProducts(a.product) : []),
+    };
+    const sql = AUDIENCE_SQL[a.kind];
+    // better-sqlite3 rejects named params the statement does not use
+    const used = Object.fromEntries(Object.entries(params).filter(([k]) => sql.includes(`@${k}`)));
+    return db.prepare(sql).all(used).map(r => String(r.tg_id));
+  }
+
+  // message = { text, entities, photo, buttons } -> { id, total }
+  const create = db.transaction((message, audience, createdBy) => {
+    const info = q.create.run({
+      text: message.text || null,
+      entities: message.entities?.length ? JSON.stringify(message.entities) : null,
+      photo: message.photo || null,
+      buttons: message.buttons?.length ? JSON.stringify(message.buttons) : null,
+      audience, created_by: createdBy != null ? String(createdBy) : null, created_at: nowTs(),
+    });
+    const id = Number(info.lastInsertRowid);
+    const ids = audienceIds(audience);
+    for (const tgId of ids) q.addRecipient.run(id, tgId);
+    q.setTotal.run(ids.length, id);
+    return { id, total: ids.length };
+  });
+
+  function counts(id) {
+    const out = { pending: 0, sent: 0, failed: 0, blocked: 0 };
+    for (const r of q.counts.all(id)) out[r.status] = r.n;
+    return out;
+  }
+
+  let busy = false;
+  let pausedUntil = 0;
+
+  function rowMessage(r) {
+    return {
+      text: r.text,
+      entities: r.entities ? JSON.parse(r.entities) : null,
+      photo: r.photo,
+      buttons: r.buttons ? JSON.parse(r.buttons) : null,
+    };
+  }
+
+  // Telegraf errors carry the Bot API error_code (e.code) and parameters.retry_after
+  async function sendOne(r) {
+    const attempt = r.attempts + 1;
+    try {
+      await send(r.tg_id, rowMessage(r));
+      q.markSent.run(nowTs(), r.broadcast_id, r.tg_id);
+      return true;
+    } catch (e) {
+      const code = e.code || e.response?.error_code;
+      const error = String(e.description || e.message || e).slice(0, 300);
+      if (code === 429) {
+        pausedUntil = Date.now() + (e.parameters?.retry_after || e.response?.parameters?.retry_after || 5) * 1000;
+        return false;
+      }
+      if (code === 403) {
+        q.markResult.run("blocked", attempt, error, r.broadcast_id, r.tg_id);
+        q.markBlocked.run(nowTs(), r.tg_id);
+        return true;
+      }
+      // 400 (chat not found, ...) will not get better; anything else is retried on a later run
+      const final = code === 400 || attempt >= maxAttempts;
+      q.markResult.run(final ? "failed" : "pending", attempt, error, r.broadcast_id, r.tg_id);
+      return true;
+    }
+  }
+
+  async function finishSettled() {
+    for (const b of q.listFinished.all()) {
+      if (!q.finish.run("done", nowTs(), b.id).changes) continue;
+      try {
+        await onDone(q.get.get(b.id), counts(b.id));
+      } catch (e) {
+        console.error(`broadcast #${b.id} report error:`, e.message || e);
+      }
+    }
+  }
+
+  // One batch of pending messages, spaced to stay under ratePerSecond (one run at a time)
+  async function sendDue() {
+    if (busy || Date.now() < pausedUntil) return 0;
+    busy = true;
+    let sent = 0;
+    try {
+      for (const r of q.listDue.all(batchSize)) {
+        if (!(await sendOne(r))) break;
+        sent++;
+        await sleep(Math.ceil(1000 / ratePerSecond));
+      }
+      await finishSettled();
+      return sent;
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    create,
+    sendDue,
+    counts,
+    audienceSize: (audience) => audienceIds(audience).length,
+    get: (id) => q.get.get(id),
+    recent: (n) => q.recent.all(n),
+    cancel: (id) => q.cancel.run(nowTs(), id).changes === 1,
+  };
+}
+
+module.exports = { createBroadcasts, parseAudience };
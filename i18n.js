@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * Translation catalog — one JSON file per locale in locales/ (en.json, es.json, pt-br.json, ...).
+ *
+ * Files hold nested objects; keys are dotted paths ("home.buy"). Values may contain {name}
+ * placeholders, filled from the vars passed to t(). "_name" is the language's own name (menu label).
+ *
+ * Fallback chain per key: the locale (pt-br) -> its base language (pt) -> the default locale -> the key.
+ * A locale is available when its file exists; a file only needs the keys it translates.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function flatten(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object") flatten(v, key, out);
+    else out[key] = String(v);
+  }
+  return out;
+}
+
+function loadCatalogs(dir) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir)) {
+    const m = /^([a-z]{2,3}(?:-[a-z0-9]+)?)\.json$/i.exec(file);
+    if (!m) continue;
+    try {
+      catalogs[m[1].toLowerCase()] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+    } catch (e) {
+      throw new Error(`Bad locale file ${file}: ${e.message}`);
+    }
+  }
+  return catalogs;
+}
+
+function createI18n({ dir, defaultLocale = "en" }) {
+  const catalogs = loadCatalogs(dir);
+  if (!catalogs[defaultLocale]) throw new Error(`Missing default locale file ${defaultLocale}.json`);
+
+  // Locales to try for `code`, most specific first
+  function chain(code) {
+    const out = [];
+    const c = String(code || "").toLowerCase().replace("_", "-");
+    if (c && catalogs[c]) out.push(c);
+    const base = c.split("-")[0];
+    if (base && base !== c && catalogs[base]) out.push(base);
+    if (!out.includes(defaultLocale)) out.push(defaultLocale);
+    return out;
+  }
+
+  // Telegram language_code / stored choice -> best available locale
+  function resolve(code) {
+    return chain(code)[0];
+  }
+
+  function t(locale, key, vars = {}) {
+    for (const lc of chain(locale)) {
+      const s = catalogs[lc][key];
+      if (s != null) return s.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+    }
+    return key;
+  }
+
+  function locales() {
+    return Object.keys(catalogs).sort().map(code => ({ code, name: catalogs[code]._name || code }));
+  }
+
+  return { t, resolve, locales, has: (code) => !!catalogs[String(code || "").toLowerCase()], defaultLocale };
+}
+
+module.exports = { createI18n };
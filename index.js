@@ -1,72 +1,188 @@
 "use strict";
 
 /**
- * AccessraBot — Premium Subscription System (English UI + Secure + Button-driven)
+ * AccessraBot — Premium Subscription System (multi-language UI + Secure + Button-driven)
  *
  * Features:
- * - Button UI: Buy -> Product -> Duration -> Invoice -> "I paid" -> paste TX
- * - Products: paid_access, security, alerts, bundle (bundle covers all)
+ * - Button UI: Buy -> Product -> Duration -> Invoice -> pay (auto-detected) or "I paid" -> paste TX
+ * - Products: DB catalog managed with /product (default: paid_access, security, alerts, bundle)
+ * - Bundles: a product can include other products (bundle covers all)
  * - Setup fee once + monthly renewals (30 days per month)
+ * - Prices in USD; pay in SOL (live rate, locked per invoice) or USDC / USDT (SPL tokens)
  * - Prepay extends from current expiry (e.g., renew 3 days early => 33 days left)
- * - Solana verification: treasury + amount + memo/reference (anti fake-claims)
+ * - Promo codes: % / fixed USD off, setup-fee waiver, bonus days (owner: /promo)
+ * - Referrals: /start ref_<code> links, referrer earns bonus days or a SOL commission (owner: /payouts)
+ * - Solana Pay invoices: unique reference key per invoice + QR code / pay link
+ * - Solana verification: treasury + amount + reference (memo for older invoices)
+ * - Treasury watcher: incoming payments are matched to invoices automatically
  * - Invoice expiry (default 30 min) to reduce fraud/confusion
+ * - Partial payments: an underpaid invoice stays open for a top-up; overpayments become account credit
+ *   (extra days or spent on a later invoice); refunds shorten the subscription
+ * - Prepaid SOL balance: top-ups, overpayments, referral commission, staff grants (/credit);
+ *   pay invoices fully or partly from it, optional auto-renew from the balance
+ * - Upgrades to a bundle credit the unused time (+ setup fees paid) of the plans it replaces;
+ *   switching down from a bundle turns its unused time into days of the chosen product
+ * - Gifts: pay for someone else and get a code; they redeem it with /redeem or a gift_ deep link
  * - Rate limiting + anti-spam
- * - Auto reminders 3 days before expiry
- * - Auto-kick from linked group after expiry + grace hours
- * - Group linking without numeric ID: owner runs /setgroup in the group
+ * - Renewal reminders per product (/product edit <key> reminders): days before expiry, a grace warning before
+ *   the kick, win-back DMs after expiry with an optional promo; each stage sent once (reminder_log);
+ *   reminder / expiry DMs carry one-tap renew buttons (last duration bought, setup fee only if unpaid)
+ * - Free trials per product ("Try free" on the product screen): one per account and product, new customers
+ *   only, optional account-age / username checks and staff approval, conversion prompt before the end
+ * - Per-product groups/channels in join-request mode: the bot approves entitled users only
+ * - Membership audit: removes tracked members (seen joining while the bot was admin) without an entitlement;
+ *   the Bot API cannot list a chat's members, so people who joined before that are not checked
+ * - Auto-kick per chat after the granting product expires + grace hours
+ * - Group linking without numeric ID: owner runs /setgroup <product> in the group
+ * - Staff /admin panel: user lookup, grant/extend/shorten/revoke, invoice fixes, audit log
+ * - Staff roles (owner / admin / support / readonly) managed with /staff; owner + treasury from .env or DB
+ * - HTTP API (optional, API_PORT): bearer-auth reads, grant/revoke/cancel, /health (see api.js)
+ * - Outbound webhooks: HMAC-signed lifecycle events with a retry queue (/webhook, see webhooks.js)
+ * - Analytics: /stats (revenue, new vs renewing, churn, invoice conversion) + weekly owner DM
+ * - Payment ledger (payer, amount received, slot, block time, invoice) + /export CSV / JSON
+ * - Versioned schema migrations (migrations/, schema_version, auto-backup; CLI: migrate.js)
+ * - Multi-language UI: locales/*.json (see i18n.js), picked from Telegram's language or the 🌐 Language menu
+ * - Owner /broadcast: text / photo / buttons to a segment (all, product holders, recently expired, never bought),
+ *   throttled persistent queue, blocked users flagged, delivery report (see broadcasts.js)
  */
 
 require("dotenv").config();
+const path = require("path");
 const { Telegraf, Markup } = require("telegraf");
 const cron = require("node-cron");
 const Database = require("better-sqlite3");
-const { Connection, PublicKey, LAMPORTS_PER_SOL } = require("@solana/web3.js");
-
-// ===================== YOUR FIXED DATA =====================
-const OWNER_ID = "6905624065";
-const TREASURY_SOL_ADDRESS = "EyTtALk3AJubxGgkEvkkU4cJQcQuke8ovGV3AucuGs3J";
+const { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const { getAssociatedTokenAddressSync } = require("@solana/spl-token");
+const QRCode = require("qrcode");
+const { createPriceOracle } = require("./priceOracle");
+const { createApi } = require("./api");
+const { createWebhooks, EVENTS: WEBHOOK_EVENTS } = require("./webhooks");
+const { buildReport } = require("./stats");
+const { migrate } = require("./migrate");
+const { createI18n } = require("./i18n");
+const { createBroadcasts, parseAudience } = require("./broadcasts");
 
 // ===================== SYSTEM CONFIG =====================
 const BOT_TOKEN = process.env.BOT_TOKEN;
 if (!BOT_TOKEN) throw new Error("Missing BOT_TOKEN in .env");
 
+const DB_PATH = process.env.DB_PATH || "accessra.db";
+
 const SOLANA_RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
 const solana = new Connection(SOLANA_RPC, "confirmed");
-const TREASURY_PUBKEY = new PublicKey(TREASURY_SOL_ADDRESS);
 
 // Subscription rules
 const DAYS_PER_MONTH = 30;
 const REMINDER_DAYS_BEFORE = 3;
 const KICK_GRACE_HOURS_AFTER_EXPIRY = 12;
 
+// Renewal reminders: per-product schedule (/product edit <key> reminders ...), this one when unset
+// -N = N days before expiry, grace = before the kick, +N[:PROMO] = win-back N days after expiry
+const DEFAULT_REMINDER_SCHEDULE = `-${REMINDER_DAYS_BEFORE},grace`;
+const WINBACK_CATCHUP_HOURS = 48; // a win-back missed by longer than this (downtime, schedule added later) is logged as superseded, not sent
+
+// Referral rewards (credited on the referred user's first paid invoice)
+const REFERRAL_REWARD = process.env.REFERRAL_REWARD || "days";            // days | commission | credit (commission to the SOL balance)
+const REFERRAL_BONUS_DAYS = Number(process.env.REFERRAL_BONUS_DAYS || 7);
+const REFERRAL_COMMISSION_PCT = Number(process.env.REFERRAL_COMMISSION_PCT || 10);
+
+// Free trials (per product: /product edit <key> trial <days>); one per account and product, new customers only
+const TRIAL_MAX_DAYS = 30;
+// Measured from the user's first contact with the bot (users.created_at), not the Telegram account's age
+const TRIAL_MIN_ACCOUNT_HOURS = Number(process.env.TRIAL_MIN_ACCOUNT_HOURS || 24);
+const TRIAL_REQUIRE_USERNAME = process.env.TRIAL_REQUIRE_USERNAME === "1";
+const TRIAL_APPROVAL = process.env.TRIAL_APPROVAL === "1";                         // staff (subs) approve each trial
+const TRIAL_PROMPT_HOURS_BEFORE_END = 24;                                          // conversion prompt
+
+// HTTP API (off unless API_PORT is set; every route but /health needs API_TOKEN)
+const API_PORT = Number(process.env.API_PORT || 0);
+const API_HOST = process.env.API_HOST || "127.0.0.1";
+const API_TOKEN = process.env.API_TOKEN || "";
+
+// Outbound webhooks (endpoints managed with /webhook)
+const WEBHOOK_DELIVER_SECONDS = 15;    // queue poll interval
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8); // 30s, 1m, 2m, ... then failed
+
+// Broadcasts: queue poll interval + send rate (Telegram allows ~30 messages / second per bot)
+const BROADCAST_SEND_SECONDS = 5;
+const BROADCAST_RATE_PER_SECOND = 25;
+
+// Weekly stats DM to the owner (last 7 days)
+const WEEKLY_REPORT_CRON = "0 9 * * 1"; // Mondays 09:00
+const STATS_DEFAULT_DAYS = 30;
+
+// Membership audit (tracked members of linked chats without access are removed)
+const MEMBER_AUDIT_CRON = "15 * * * *"; // hourly
+
 // Security settings
 const INVOICE_EXPIRE_MINUTES = 30;     // invoice must be confirmed within 30 minutes
+const PARTIAL_PAYMENT_HOURS = 24;      // underpaid invoice stays open this long for the rest, then becomes credit
+
+// Prepaid balance (account credit): top-ups of any amount, auto-renew pulls from it at the reminder
+const TOPUP_CURRENCY = "SOL";
+const TOPUP_OPEN_HOURS = 24;           // a top-up request accepts one transfer within this window
 const MAX_MONTHS_PER_PURCHASE = 60;    // safety limit
 const RATE_LIMIT_WINDOW_MS = 10_000;   // 10 seconds window
 const RATE_LIMIT_MAX_ACTIONS = 8;      // max actions per window per user
 
-// Solana memo program
+// Treasury watcher
+const PAYMENT_WATCH_SECONDS = 20;      // poll treasury signatures every 20 seconds
+const PAYMENT_WATCH_PAGE = 100;        // signatures per RPC page
+const PAYMENT_WATCH_MAX_PAGES = 10;    // catch-up limit after downtime
+
+// Solana memo program (only checked for invoices created before reference keys)
 const MEMO_PROGRAM_ID = "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr";
 
-// Pricing (as you requested)
-const PRODUCTS = {
-  paid_access: { key: "paid_access", name: "Paid Access", icon: "💎", setup: 0.7, monthly: 0.2 },
-  security:    { key: "security",    name: "Security",    icon: "🔒", setup: 0.4, monthly: 0.15 },
-  alerts:      { key: "alerts",      name: "Alerts",      icon: "🚨", setup: 0.3, monthly: 0.2 },
-  bundle:      { key: "bundle",      name: "All-in-One Bundle", icon: "🌟", setup: 1.6, monthly: 0.55 },
+// Solana Pay transfer request labels
+const SOLANA_PAY_LABEL = "Accessra";
+
+// Payment currencies (mint = null -> native SOL, else SPL token paid into the treasury's token account)
+// usd_peg -> fixed USD value per unit, otherwise the price oracle is asked at invoice time
+const CURRENCIES = {
+  SOL:  { key: "SOL",  icon: "◎", decimals: 9, mint: null, usd_peg: null },
+  USDC: { key: "USDC", icon: "💵", decimals: 6, mint: process.env.USDC_MINT || "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", usd_peg: 1 },
+  USDT: { key: "USDT", icon: "💵", decimals: 6, mint: process.env.USDT_MINT || "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCE8BenwNYB", usd_peg: 1 },
 };
+const ENABLED_CURRENCIES = (process.env.PAYMENT_CURRENCIES || "SOL,USDC,USDT")
+  .split(",").map(c => c.trim().toUpperCase()).filter(c => CURRENCIES[c]);
+
+// Pricing in USD (converted to the payment currency when the invoice is created)
+// Seeds the products table on first start; afterwards the catalog is managed with /product
+const DEFAULT_PRODUCTS = [
+  { key: "paid_access", name: "Paid Access", icon: "💎", setup_usd: 105, monthly_usd: 30 },
+  { key: "security",    name: "Security",    icon: "🔒", setup_usd: 60,  monthly_usd: 22.5 },
+  { key: "alerts",      name: "Alerts",      icon: "🚨", setup_usd: 45,  monthly_usd: 30 },
+  { key: "bundle",      name: "All-in-One Bundle", icon: "🌟", setup_usd: 240, monthly_usd: 82.5, includes: "paid_access,security,alerts" },
+];
+const DEFAULT_DURATIONS = "1,3,5,12";
 
 // Optional: special offer (turn on/off)
 const PAID_ACCESS_SPECIAL = {
   enabled: true,
-  pay_sol: 1.0,
+  pay_usd: 150,
   months: 5,
   renewal_only: true,
 };
 
+// USD -> SOL rate source (PRICE_ORACLE=coingecko | fixed, see priceOracle.js)
+const priceOracle = createPriceOracle();
+
+// UI translations (locales/<code>.json); users without a match get DEFAULT_LOCALE
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || "en").toLowerCase();
+const i18n = createI18n({ dir: path.join(__dirname, "locales"), defaultLocale: DEFAULT_LOCALE });
+const tr = i18n.t;
+
 // ===================== BOT + DB =====================
 const bot = new Telegraf(BOT_TOKEN);
 
+// Process state reported by /health
+const runtime = {
+  polling: false,
+  startedAt: null,
+  lastUpdateAt: null,
+  jobs: {},       // name -> { last_run_at, ok, error }
+};
+
 // Simple in-memory rate limiter (fast + effective)
 const rateMap = new Map(); // tgId -> {count, resetAt}
 function rateLimitOk(tgId) {
@@ -82,65 +198,50 @@ function rateLimitOk(tgId) {
 }
 
 // DB
-const db = new Database("accessra.db");
+const db = new Database(DB_PATH);
 db.pragma("journal_mode = WAL");
-db.exec(`
-  CREATE TABLE IF NOT EXISTS settings (
-    k TEXT PRIMARY KEY,
-    v TEXT NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS users (
-    tg_id TEXT PRIMARY KEY,
-    created_at INTEGER NOT NULL,
-    last_seen_at INTEGER NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS subscriptions (
-    tg_id TEXT NOT NULL,
-    product TEXT NOT NULL,
-    setup_paid INTEGER NOT NULL DEFAULT 0,
-    expires_at INTEGER NOT NULL,
-    last_reminder_at INTEGER,
-    last_expired_notice_at INTEGER,
-    PRIMARY KEY (tg_id, product)
-  );
-
-  CREATE TABLE IF NOT EXISTS invoices (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    tg_id TEXT NOT NULL,
-    product TEXT NOT NULL,
-    months INTEGER NOT NULL,
-    amount_sol REAL NOT NULL,
-    memo TEXT NOT NULL,
-    status TEXT NOT NULL,        -- pending | paid | cancelled | expired
-    created_at INTEGER NOT NULL,
-    paid_at INTEGER,
-    tx_sig TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS payments (
-    tx_sig TEXT PRIMARY KEY,
-    created_at INTEGER NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS user_state (
-    tg_id TEXT PRIMARY KEY,
-    state TEXT NOT NULL,         -- none | awaiting_tx
-    invoice_id INTEGER,
-    updated_at INTEGER NOT NULL
-  );
-`);
+// Schema lives in migrations/ (applied at boot, backup first; CLI: node migrate.js status|up|dry-run)
+migrate(db, { dbPath: DB_PATH, log: console.log });
 
 const S = {
   setSetting: db.prepare(`INSERT INTO settings(k,v) VALUES(?,?) ON CONFLICT(k) DO UPDATE SET v=excluded.v`),
   getSetting: db.prepare(`SELECT v FROM settings WHERE k=?`),
 
   upsertUser: db.prepare(`
-    INSERT INTO users(tg_id, created_at, last_seen_at)
-    VALUES (?, ?, ?)
-    ON CONFLICT(tg_id) DO UPDATE SET last_seen_at=excluded.last_seen_at
+    INSERT INTO users(tg_id, created_at, last_seen_at, username, language_code)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(tg_id) DO UPDATE SET last_seen_at=excluded.last_seen_at, username=COALESCE(excluded.username, users.username),
+      language_code=COALESCE(excluded.language_code, users.language_code)
+  `),
+  setLocale: db.prepare(`UPDATE users SET locale=? WHERE tg_id=?`),
+  clearBlocked: db.prepare(`UPDATE users SET blocked_at=NULL WHERE tg_id=? AND blocked_at IS NOT NULL`),
+  getUserByUsername: db.prepare(`SELECT * FROM users WHERE username=?`),
+
+  getUser: db.prepare(`SELECT * FROM users WHERE tg_id=?`),
+  getUserByRefCode: db.prepare(`SELECT * FROM users WHERE ref_code=?`),
+  setRefCode: db.prepare(`UPDATE users SET ref_code=? WHERE tg_id=? AND ref_code IS NULL`),
+  setReferrer: db.prepare(`UPDATE users SET referred_by=?, referred_at=? WHERE tg_id=? AND referred_by IS NULL`),
+  countReferred: db.prepare(`SELECT COUNT(*) AS n FROM users WHERE referred_by=?`),
+  countPaidInvoices: db.prepare(`SELECT COUNT(*) AS n FROM invoices WHERE tg_id=? AND status='paid' AND (price_usd IS NULL OR price_usd > 0)`),
+
+  addReferralReward: db.prepare(`
+    INSERT OR IGNORE INTO referral_rewards(referrer_id, referred_id, invoice_id, kind, days, product, amount_sol, status, created_at)
+    VALUES (@referrer_id, @referred_id, @invoice_id, @kind, @days, @product, @amount_sol, @status, @created_at)
+  `),
+  referralTotals: db.prepare(`
+    SELECT COUNT(*) AS converted,
+           COALESCE(SUM(days), 0) AS days,
+           COALESCE(SUM(CASE WHEN status='owed' THEN amount_sol END), 0) AS owed_sol,
+           COALESCE(SUM(CASE WHEN status='paid' THEN amount_sol END), 0) AS paid_sol,
+           COALESCE(SUM(CASE WHEN kind='credit' THEN amount_sol END), 0) AS credited_sol
+    FROM referral_rewards WHERE referrer_id=?
+  `),
+  listOwedByReferrer: db.prepare(`
+    SELECT referrer_id, COUNT(*) AS n, SUM(amount_sol) AS sol, GROUP_CONCAT(id) AS ids
+    FROM referral_rewards WHERE status='owed' GROUP BY referrer_id ORDER BY sol DESC
   `),
+  listReferralRewards: db.prepare(`SELECT * FROM referral_rewards ORDER BY id`),
+  markRewardPaid: db.prepare(`UPDATE referral_rewards SET status='paid', paid_at=?, payout_tx=? WHERE id=? AND status='owed'`),
 
   getSub: db.prepare(`SELECT * FROM subscriptions WHERE tg_id=? AND product=?`),
   getSubs: db.prepare(`SELECT * FROM subscriptions WHERE tg_id=? ORDER BY product`),
@@ -148,63 +249,332 @@ const S = {
     INSERT INTO subscriptions(tg_id, product, setup_paid, expires_at, last_reminder_at, last_expired_notice_at)
     VALUES (?, ?, ?, ?, NULL, NULL)
     ON CONFLICT(tg_id, product) DO UPDATE SET
-      setup_paid=excluded.setup_paid,
+      setup_paid=MAX(setup_paid, excluded.setup_paid),
       expires_at=excluded.expires_at
   `),
   listUsersWithSubs: db.prepare(`SELECT DISTINCT tg_id FROM subscriptions`),
+  setSubExpiry: db.prepare(`UPDATE subscriptions SET expires_at=? WHERE tg_id=? AND product=?`),
+  setAutoRenew: db.prepare(`UPDATE subscriptions SET auto_renew=? WHERE tg_id=? AND product=?`),
   updateReminder: db.prepare(`UPDATE subscriptions SET last_reminder_at=? WHERE tg_id=? AND product=?`),
   updateExpiredNotice: db.prepare(`UPDATE subscriptions SET last_expired_notice_at=? WHERE tg_id=?`),
+  getTrial: db.prepare(`SELECT * FROM trials WHERE tg_id=? AND product=?`),
+  createTrial: db.prepare(`
+    INSERT INTO trials(tg_id, product, days, status, requested_at, decided_by, started_at, ends_at)
+    VALUES (@tg_id, @product, @days, @status, @requested_at, @decided_by, @started_at, @ends_at)
+  `),
+  startTrial: db.prepare(`UPDATE trials SET status='started', decided_by=?, started_at=?, ends_at=? WHERE tg_id=? AND product=? AND status='pending'`),
+  denyTrial: db.prepare(`UPDATE trials SET status='denied', decided_by=? WHERE tg_id=? AND product=? AND status='pending'`),
+  convertTrial: db.prepare(`UPDATE trials SET status='converted', converted_at=? WHERE tg_id=? AND product=? AND status='started'`),
+  insertTrialSub: db.prepare(`INSERT INTO subscriptions(tg_id, product, expires_at) VALUES (?, ?, ?)`),
+  listReminderStages: db.prepare(`SELECT stage FROM reminder_log WHERE tg_id=? AND product=? AND expires_at=?`),
+  logReminder: db.prepare(`
+    INSERT OR IGNORE INTO reminder_log(tg_id, product, expires_at, stage, status, promo_code, sent_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
 
   createInvoice: db.prepare(`
-    INSERT INTO invoices(tg_id, product, months, amount_sol, memo, status, created_at)
-    VALUES (?, ?, ?, ?, ?, 'pending', ?)
+    INSERT INTO invoices(tg_id, product, months, currency, amount, amount_sol, price_usd, rate_usd,
+                         promo_code, discount_usd, bonus_days, credit_units, upgrade_from, upgrade_usd, gift, memo, reference, status, created_at)
+    VALUES (@tg_id, @product, @months, @currency, @amount, @amount_sol, @price_usd, @rate_usd,
+            @promo_code, @discount_usd, @bonus_days, @credit_units, @upgrade_from, @upgrade_usd, @gift, @memo, @reference, 'pending', @created_at)
   `),
   getInvoice: db.prepare(`SELECT * FROM invoices WHERE id=?`),
-  markInvoicePaid: db.prepare(`UPDATE invoices SET status='paid', paid_at=?, tx_sig=? WHERE id=?`),
-  expireInvoice: db.prepare(`UPDATE invoices SET status='expired' WHERE id=? AND status='pending'`),
-  cancelInvoice: db.prepare(`UPDATE invoices SET status='cancelled' WHERE id=? AND status='pending'`),
+  lastPaidMonths: db.prepare(`
+    SELECT months FROM invoices WHERE tg_id=? AND product=? AND status='paid' AND gift=0 ORDER BY paid_at DESC, id DESC LIMIT 1
+  `),
+  setUpgradeEnded: db.prepare(`UPDATE invoices SET upgrade_ended=? WHERE id=?`),
+  markInvoicePaid: db.prepare(`UPDATE invoices SET status='paid', paid_at=?, tx_sig=? WHERE id=? AND status IN ('pending','expired','partial')`),
+  markInvoicePartial: db.prepare(`UPDATE invoices SET status='partial' WHERE id=? AND status IN ('pending','expired','partial')`),
+  addInvoiceReceived: db.prepare(`UPDATE invoices SET received_units = received_units + ? WHERE id=?`),
+  setInvoiceNote: db.prepare(`UPDATE invoices SET admin_note=? WHERE id=?`),
+  refundInvoice: db.prepare(`UPDATE invoices SET status='refunded', admin_note=?, refunded_at=? WHERE id=? AND status IN ('paid','partial')`),
+  listUserInvoices: db.prepare(`SELECT * FROM invoices WHERE tg_id=? ORDER BY id DESC LIMIT ?`),
+  listOpenInvoices: db.prepare(`
+    SELECT * FROM invoices WHERE (status IN ('pending','expired') AND created_at >= ?) OR status='partial' ORDER BY id
+  `),
+  cancelInvoice: db.prepare(`UPDATE invoices SET status='cancelled' WHERE id=? AND status IN ('pending','partial')`),
+  listStaleOpen: db.prepare(`SELECT * FROM invoices WHERE (status='pending' AND created_at < ?) OR (status='partial' AND created_at < ?)`),
+  expireInvoice: db.prepare(`UPDATE invoices SET status='expired' WHERE id=? AND status IN ('pending','partial')`),
+
+  addCredit: db.prepare(`
+    INSERT INTO credit_ledger(tg_id, currency, units, kind, invoice_id, note, created_by, created_at)
+    VALUES (@tg_id, @currency, @units, @kind, @invoice_id, @note, @created_by, @created_at)
+  `),
+  creditBalance: db.prepare(`SELECT COALESCE(SUM(units), 0) AS units FROM credit_ledger WHERE tg_id=? AND currency=?`),
+  creditBalances: db.prepare(`
+    SELECT currency, SUM(units) AS units FROM credit_ledger WHERE tg_id=? GROUP BY currency HAVING SUM(units) <> 0 ORDER BY currency
+  `),
+  invoiceCredit: db.prepare(`SELECT COALESCE(SUM(units), 0) AS units FROM credit_ledger WHERE invoice_id=? AND kind=?`),
+  listCredit: db.prepare(`SELECT * FROM credit_ledger WHERE tg_id=? ORDER BY id DESC LIMIT ?`),
+  invoiceCreditNet: db.prepare(`SELECT COALESCE(SUM(units), 0) AS units FROM credit_ledger WHERE invoice_id=? AND kind IN ('applied','released')`),
 
   hasPayment: db.prepare(`SELECT tx_sig FROM payments WHERE tx_sig=?`),
-  addPayment: db.prepare(`INSERT INTO payments(tx_sig, created_at) VALUES(?, ?)`),
+  addPayment: db.prepare(`
+    INSERT INTO payments(tx_sig, invoice_id, topup_id, payer, currency, lamports, token_amount, slot, block_time, created_at)
+    VALUES (@tx_sig, @invoice_id, @topup_id, @payer, @currency, @lamports, @token_amount, @slot, @block_time, @created_at)
+  `),
+
+  createGift: db.prepare(`
+    INSERT INTO gift_codes(code, product, months, bonus_days, setup_usd, invoice_id, purchased_by, created_at)
+    VALUES (@code, @product, @months, @bonus_days, @setup_usd, @invoice_id, @purchased_by, @created_at)
+  `),
+  getGift: db.prepare(`SELECT * FROM gift_codes WHERE code=?`),
+  getGiftByInvoice: db.prepare(`SELECT * FROM gift_codes WHERE invoice_id=?`),
+  redeemGift: db.prepare(`
+    UPDATE gift_codes SET redeemed_by=?, redeemed_at=?, setup_days=? WHERE code=? AND redeemed_at IS NULL AND revoked_at IS NULL
+  `),
+  revokeGift: db.prepare(`UPDATE gift_codes SET revoked_at=? WHERE code=? AND revoked_at IS NULL`),
+
+  createTopup: db.prepare(`INSERT INTO topups(tg_id, currency, reference, status, created_at) VALUES (?, ?, ?, 'open', ?)`),
+  getTopup: db.prepare(`SELECT * FROM topups WHERE id=?`),
+  listOpenTopups: db.prepare(`SELECT * FROM topups WHERE status='open' AND created_at >= ? ORDER BY id`),
+  markTopupCredited: db.prepare(`UPDATE topups SET status='credited', units=?, tx_sig=?, credited_at=? WHERE id=? AND status='open'`),
+  expireTopups: db.prepare(`UPDATE topups SET status='expired' WHERE status='open' AND created_at < ?`),
 
   setState: db.prepare(`
     INSERT INTO user_state(tg_id, state, invoice_id, updated_at)
     VALUES (?, ?, ?, ?)
-    ON CONFLICT(tg_id) DO UPDATE SET state=excluded.state, invoice_id=excluded.invoice_id, updated_at=excluded.updated_at
+    ON CONFLICT(tg_id) DO UPDATE SET state=excluded.state, invoice_id=excluded.invoice_id, draft=NULL, updated_at=excluded.updated_at
+  `),
+  setDraftState: db.prepare(`
+    INSERT INTO user_state(tg_id, state, invoice_id, draft, updated_at)
+    VALUES (?, ?, NULL, ?, ?)
+    ON CONFLICT(tg_id) DO UPDATE SET state=excluded.state, invoice_id=NULL, draft=excluded.draft, updated_at=excluded.updated_at
+  `),
+  getProduct: db.prepare(`SELECT * FROM products WHERE key=?`),
+  listProducts: db.prepare(`SELECT * FROM products ORDER BY sort, created_at, key`),
+  countProducts: db.prepare(`SELECT COUNT(*) AS n FROM products`),
+  insertProduct: db.prepare(`
+    INSERT INTO products(key, name, icon, setup_usd, monthly_usd, durations, includes, active, sort, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+  `),
+
+  getPromo: db.prepare(`SELECT * FROM promo_codes WHERE code=?`),
+  listPromos: db.prepare(`
+    SELECT p.*, (SELECT COUNT(*) FROM promo_redemptions r WHERE r.code=p.code) AS uses
+    FROM promo_codes p ORDER BY p.created_at DESC
   `),
+  createPromo: db.prepare(`
+    INSERT INTO promo_codes(code, kind, value, product, months, max_uses, per_user, starts_at, ends_at, created_by, created_at)
+    VALUES (@code, @kind, @value, @product, @months, @max_uses, @per_user, @starts_at, @ends_at, @created_by, @created_at)
+  `),
+  revokePromo: db.prepare(`UPDATE promo_codes SET revoked_at=? WHERE code=? AND revoked_at IS NULL`),
+  // used = redeemed; open = on pending / partly paid invoices (reserved until they expire or are cancelled)
+  countPromoUses: db.prepare(`
+    SELECT (SELECT COUNT(*) FROM promo_redemptions WHERE code=@code) AS used,
+           (SELECT COUNT(*) FROM invoices WHERE promo_code=@code AND status IN ('pending','partial')) AS open
+  `),
+  countPromoUserUses: db.prepare(`
+    SELECT (SELECT COUNT(*) FROM promo_redemptions WHERE code=@code AND tg_id=@tg_id) AS used,
+           (SELECT COUNT(*) FROM invoices WHERE promo_code=@code AND tg_id=@tg_id AND status IN ('pending','partial')) AS open
+  `),
+  addPromoRedemption: db.prepare(`INSERT INTO promo_redemptions(code, tg_id, invoice_id, created_at) VALUES (?, ?, ?, ?)`),
+
+  linkChat: db.prepare(`
+    INSERT INTO product_chats(chat_id, product, title, created_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(chat_id, product) DO UPDATE SET title=excluded.title
+  `),
+  unlinkChat: db.prepare(`DELETE FROM product_chats WHERE chat_id=?`),
+  unlinkChatProduct: db.prepare(`DELETE FROM product_chats WHERE chat_id=? AND product=?`),
+  listChatProducts: db.prepare(`SELECT product FROM product_chats WHERE chat_id=? ORDER BY product`),
+  listLinkedChats: db.prepare(`SELECT chat_id, MAX(title) AS title, GROUP_CONCAT(product) AS products FROM product_chats GROUP BY chat_id`),
+
+  setMember: db.prepare(`
+    INSERT INTO chat_members(chat_id, tg_id, status, joined_at, updated_at)
+    VALUES (@chat_id, @tg_id, @status, CASE WHEN @status='member' THEN @t END, @t)
+    ON CONFLICT(chat_id, tg_id) DO UPDATE SET
+      status=excluded.status,
+      joined_at=CASE WHEN excluded.status='member' AND chat_members.status<>'member' THEN excluded.updated_at ELSE chat_members.joined_at END,
+      updated_at=excluded.updated_at
+  `),
+  getMember: db.prepare(`SELECT * FROM chat_members WHERE chat_id=? AND tg_id=?`),
+  listChatMembers: db.prepare(`SELECT * FROM chat_members WHERE chat_id=? AND status='member'`),
+
+  getStaff: db.prepare(`SELECT * FROM staff WHERE tg_id=?`),
+  listStaff: db.prepare(`SELECT * FROM staff ORDER BY created_at`),
+  setStaff: db.prepare(`
+    INSERT INTO staff(tg_id, role, added_by, created_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(tg_id) DO UPDATE SET role=excluded.role, added_by=excluded.added_by
+  `),
+  removeStaff: db.prepare(`DELETE FROM staff WHERE tg_id=?`),
+
+  addAudit: db.prepare(`INSERT INTO audit_log(actor_id, action, target_id, details, created_at) VALUES (?, ?, ?, ?, ?)`),
+  listAudit: db.prepare(`SELECT * FROM audit_log ORDER BY id DESC LIMIT ?`),
+
   getState: db.prepare(`SELECT * FROM user_state WHERE tg_id=?`),
+  clearStateFor: db.prepare(`UPDATE user_state SET state='none', invoice_id=NULL, updated_at=? WHERE tg_id=? AND state='awaiting_tx' AND invoice_id=?`),
+  clearTopupState: db.prepare(`UPDATE user_state SET state='none', invoice_id=NULL, updated_at=? WHERE tg_id=? AND state='awaiting_topup_tx' AND invoice_id=?`),
+  clearPromoState: db.prepare(`UPDATE user_state SET state='none', draft=NULL, updated_at=? WHERE tg_id=? AND state='awaiting_promo'`),
+};
+
+// Editable product columns (/product edit <key> <field> <value>)
+const PRODUCT_FIELDS = {
+  name: "name", icon: "icon", setup: "setup_usd", monthly: "monthly_usd",
+  durations: "durations", includes: "includes", active: "active", sort: "sort", reminders: "reminders",
+  trial: "trial_days",
 };
+const updateProductField = Object.fromEntries(
+  Object.entries(PRODUCT_FIELDS).map(([f, col]) => [f, db.prepare(`UPDATE products SET ${col}=?, updated_at=? WHERE key=?`)])
+);
+
+// Owner + treasury: .env (OWNER_ID, TREASURY_SOL_ADDRESS) or settings rows owner_id / treasury_address; .env wins
+const OWNER_ID = String(process.env.OWNER_ID || S.getSetting.get("owner_id")?.v || "");
+const TREASURY_SOL_ADDRESS = process.env.TREASURY_SOL_ADDRESS || S.getSetting.get("treasury_address")?.v || "";
+if (!OWNER_ID) throw new Error("Missing OWNER_ID (.env or settings owner_id)");
+if (!TREASURY_SOL_ADDRESS) throw new Error("Missing TREASURY_SOL_ADDRESS (.env or settings treasury_address)");
+const TREASURY_PUBKEY = new PublicKey(TREASURY_SOL_ADDRESS);
+
+const webhooks = createWebhooks({ db, maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+const broadcasts = createBroadcasts({
+  db,
+  send: sendBroadcastMessage,
+  onDone: reportBroadcast,
+  holderProducts: productsGranting,
+  ratePerSecond: BROADCAST_RATE_PER_SECOND,
+});
+
+if (S.countProducts.get().n === 0) {
+  const t = nowTs();
+  DEFAULT_PRODUCTS.forEach((p, i) => {
+    S.insertProduct.run(p.key, p.name, p.icon, p.setup_usd, p.monthly_usd, DEFAULT_DURATIONS, p.includes || null, i, t, t);
+  });
+}
 
 // ===================== HELPERS =====================
 function nowTs() { return Math.floor(Date.now() / 1000); }
 function secDays(d) { return d * 86400; }
 function secMonths(m) { return secDays(DAYS_PER_MONTH * m); }
 
-function isOwner(ctx) { return String(ctx.from?.id || "") === OWNER_ID; }
+// Staff roles: OWNER_ID is always owner, everyone else comes from the staff table
+const ROLE_PERMS = {
+  owner:    ["view", "stats", "export", "invite", "subs", "invoices", "credit", "catalog", "chats", "payouts", "webhooks", "staff", "broadcast"],
+  admin:    ["view", "stats", "export", "invite", "subs", "invoices", "credit", "catalog", "chats", "payouts", "webhooks"],
+  support:  ["view", "invite"],
+  readonly: ["view"],
+};
+const NOT_ALLOWED = "⛔ Your role does not allow this.";
+
+function roleOf(tgId) {
+  const id = String(tgId || "");
+  if (!id) return null;
+  if (id === OWNER_ID) return "owner";
+  return S.getStaff.get(id)?.role || null;
+}
+
+// who = ctx or tg id
+function can(who, perm) {
+  const role = roleOf(typeof who === "object" ? who.from?.id : who);
+  return !!role && (ROLE_PERMS[role] || []).includes(perm);
+}
 
-function ensureUser(tgId) {
+function ensureUser(tgId, username, languageCode) {
   const t = nowTs();
-  S.upsertUser.run(String(tgId), t, t);
+  S.upsertUser.run(String(tgId), t, t, username ? String(username).toLowerCase() : null, languageCode || null);
+}
+
+// users.locale (🌐 Language) > Telegram language_code > DEFAULT_LOCALE; works without a ctx (cron DMs)
+function userLocale(tgId) {
+  const u = S.getUser.get(String(tgId));
+  return i18n.resolve(u?.locale || u?.language_code || DEFAULT_LOCALE);
+}
+
+// ===== Linked chats (product_chats) =====
+function linkedChats() {
+  return S.listLinkedChats.all().map(r => ({ chatId: r.chat_id, title: r.title, products: csvList(r.products) }));
+}
+
+function chatGrantProducts(chatId) {
+  return S.listChatProducts.all(String(chatId)).map(r => r.product);
+}
+
+function chatAccess(tgId, chatId) {
+  const products = chatGrantProducts(chatId);
+  if (products.includes("*")) return hasAnyActiveSub(tgId);
+  return products.some(p => hasAccess(tgId, p));
+}
+
+// Latest expiry among the user's subscriptions that grant this chat (0 = never had one)
+function chatAccessExpiry(tgId, chatId) {
+  const products = chatGrantProducts(chatId);
+  const subs = S.getSubs.all(String(tgId));
+  const granting = products.includes("*")
+    ? subs
+    : subs.filter(s => products.some(p => productsGranting(p).includes(s.product)));
+  return granting.reduce((m, s) => Math.max(m, s.expires_at), 0);
+}
+
+// ===== Product catalog (products table) =====
+function csvList(v) {
+  return String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+}
+
+function productFromRow(r) {
+  return {
+    ...r,
+    durations: csvList(r.durations).map(Number),
+    includes: csvList(r.includes),
+    active: r.active === 1,
+  };
+}
+
+function getProduct(key) {
+  const r = S.getProduct.get(String(key));
+  return r ? productFromRow(r) : null;
+}
+
+function listProducts({ activeOnly = false } = {}) {
+  const all = S.listProducts.all().map(productFromRow);
+  return activeOnly ? all.filter(p => p.active) : all;
+}
+
+// Purchasable = exists in the catalog and is active
+function productValid(key) {
+  const p = getProduct(key);
+  return !!p && p.active;
+}
+
+function productLabel(key) {
+  const p = getProduct(key);
+  return p ? `${p.icon} ${p.name}` : `• ${key}`;
+}
+
+// Products whose subscription grants access to `product` (itself + bundles that include it)
+function productsGranting(product) {
+  return [product, ...listProducts().filter(p => p.includes.includes(product)).map(p => p.key)];
+}
+
+function fmtAmount(amount, currency) {
+  return `${amount} ${currency}`;
+}
+
+// Raw base units (lamports / token units) <-> amounts in the currency
+function toUnits(amount, currency) {
+  return Math.round(amount * 10 ** CURRENCIES[currency].decimals);
+}
+
+function fromUnits(units, currency) {
+  const { decimals } = CURRENCIES[currency];
+  return Number((units / 10 ** decimals).toFixed(decimals));
 }
 
-function groupId() {
-  const r = S.getSetting.get("group_id");
-  return r ? r.v : null;
+function fmtUnits(units, currency) {
+  return fmtAmount(fromUnits(units, currency), currency);
 }
 
-function productValid(p) {
-  return Object.prototype.hasOwnProperty.call(PRODUCTS, p);
+function fmtUsd(usd) {
+  return `$${Number(usd).toFixed(2)}`;
 }
 
-function bundleActive(tgId) {
-  const s = S.getSub.get(String(tgId), "bundle");
-  return !!s && s.expires_at > nowTs();
+function treasuryTokenAccount(currency) {
+  return getAssociatedTokenAddressSync(new PublicKey(CURRENCIES[currency].mint), TREASURY_PUBKEY);
 }
 
 function hasAccess(tgId, product) {
-  if (bundleActive(tgId)) return true;
-  const s = S.getSub.get(String(tgId), product);
-  return !!s && s.expires_at > nowTs();
+  const t = nowTs();
+  return productsGranting(product).some(k => {
+    const s = S.getSub.get(String(tgId), k);
+    return !!s && s.expires_at > t;
+  });
 }
 
 function hasAnyActiveSub(tgId) {
@@ -222,9 +592,40 @@ function memoFor(tgId, product) {
   return `ACC-${tgId}-${product}-${nowTs()}-${rnd}`;
 }
 
-function calcAmount(product, months, setupAlreadyPaid) {
-  const p = PRODUCTS[product];
-  let amount = (setupAlreadyPaid ? 0 : p.setup) + (p.monthly * months);
+// Solana Pay reference: a fresh random pubkey, added by the wallet as a read-only account key
+function newReference() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+// Solana Pay transfer request URL (https://docs.solanapay.com/spec)
+// Amount = what is still due (the rest of a partly paid invoice)
+function solanaPayUrl(inv) {
+  return transferRequestUrl(inv.currency, inv.reference, `Invoice #${inv.id}`, fromUnits(invoiceDueUnits(inv), inv.currency));
+}
+
+// amount = null -> the wallet asks for it (top-ups)
+function transferRequestUrl(currency, reference, message, amount = null) {
+  const q = [];
+  if (amount != null) q.push(`amount=${encodeURIComponent(String(amount))}`);
+  q.push(
+    `reference=${encodeURIComponent(reference)}`,
+    `label=${encodeURIComponent(SOLANA_PAY_LABEL)}`,
+    `message=${encodeURIComponent(message)}`,
+  );
+  const mint = CURRENCIES[currency].mint;
+  if (mint) q.push(`spl-token=${encodeURIComponent(mint)}`);
+  return `solana:${TREASURY_SOL_ADDRESS}?${q.join("&")}`;
+}
+
+function qrPng(text) {
+  return QRCode.toBuffer(text, { type: "png", width: 480, margin: 2 });
+}
+
+// Price in USD; upgrade = upgradeQuote(...) -> setup fees already paid and unused time are credited
+function calcAmount(product, months, setupAlreadyPaid, upgrade = null) {
+  const p = getProduct(product);
+  const setupUsd = setupAlreadyPaid ? 0 : Math.max(0, p.setup_usd - (upgrade?.setupCreditUsd || 0));
+  let amount = setupUsd + (p.monthly_usd * months);
 
   if (
     PAID_ACCESS_SPECIAL.enabled &&
@@ -232,288 +633,2747 @@ function calcAmount(product, months, setupAlreadyPaid) {
     months === PAID_ACCESS_SPECIAL.months &&
     (setupAlreadyPaid || !PAID_ACCESS_SPECIAL.renewal_only)
   ) {
-    amount = setupAlreadyPaid ? PAID_ACCESS_SPECIAL.pay_sol : (p.setup + PAID_ACCESS_SPECIAL.pay_sol);
+    amount = setupUsd + PAID_ACCESS_SPECIAL.pay_usd;
+  }
+
+  if (upgrade) amount = Math.max(0, amount - upgrade.unusedUsd);
+  return Number(amount.toFixed(2));
+}
+
+// ===== Upgrades / downgrades =====
+// Unused value of an active subscription at its product's monthly price (pro rata)
+// Time nobody paid for (a free trial, or never bought: setup unpaid and no paid invoice) is worth nothing
+function unusedValueUsd(sub, t = nowTs()) {
+  const p = getProduct(sub.product);
+  if (!p || sub.expires_at <= t) return 0;
+  if (onTrial(sub) || (!sub.setup_paid && !S.lastPaidMonths.get(String(sub.tg_id), sub.product))) return 0;
+  return (sub.expires_at - t) / 86400 * (p.monthly_usd / DAYS_PER_MONTH);
+}
+
+// Buying `target` replaces the active subscriptions of the products it includes (security + alerts -> bundle)
+// -> null when there is nothing to replace, else { replaced: [product], unusedUsd, setupCreditUsd }
+function upgradeQuote(tgId, target) {
+  const p = getProduct(target);
+  if (!p?.includes.length) return null;
+  const t = nowTs();
+  const subs = S.getSubs.all(String(tgId)).filter(s => p.includes.includes(s.product) && s.expires_at > t);
+  if (!subs.length) return null;
+  return {
+    replaced: subs.map(s => s.product),
+    unusedUsd: Number(subs.reduce((sum, s) => sum + unusedValueUsd(s, t), 0).toFixed(2)),
+    setupCreditUsd: subs.filter(s => s.setup_paid).reduce((sum, s) => sum + (getProduct(s.product)?.setup_usd || 0), 0),
+  };
+}
+
+// Bundle -> one of its products: the bundle's unused value becomes days of the target, no payment
+// -> null or { replaced: [bundle], unusedUsd, days }
+function downgradeQuote(tgId, target) {
+  const p = getProduct(target);
+  if (!p?.active || !p.monthly_usd) return null;
+  const t = nowTs();
+  const subs = S.getSubs.all(String(tgId)).filter(s => s.expires_at > t && getProduct(s.product)?.includes.includes(target));
+  if (!subs.length) return null;
+  const usd = subs.reduce((sum, s) => sum + unusedValueUsd(s, t), 0);
+  return { replaced: subs.map(s => s.product), unusedUsd: Number(usd.toFixed(2)), days: Math.floor(usd / (p.monthly_usd / DAYS_PER_MONTH)) };
+}
+
+// Upgrade credit on the invoice that active subscriptions no longer back (another upgrade invoice used it,
+// or they ran out before this one was paid) -> days to take off the new subscription, so the time granted
+// matches what was actually paid: price / (price + missing credit) of it
+// Valued at the invoice's creation, like the quote; bonus days beyond a promo's are converted surplus credit
+function upgradeShortDays(inv, t) {
+  const daily = (getProduct(inv.product)?.monthly_usd || 0) / DAYS_PER_MONTH;
+  if (!inv.upgrade_from || !daily) return 0;
+  const promo = inv.promo_code ? S.getPromo.get(inv.promo_code) : null;
+  const surplusDays = Math.max(0, (inv.bonus_days || 0) - (promo?.kind === "bonus_days" ? Math.floor(promo.value) : 0));
+  const usedUsd = (inv.upgrade_usd || 0) + surplusDays * daily;
+  const backedUsd = csvList(inv.upgrade_from)
+    .map(k => S.getSub.get(String(inv.tg_id), k))
+    .filter(s => s && s.expires_at > t)
+    .reduce((sum, s) => sum + unusedValueUsd(s, inv.created_at), 0);
+  const shortUsd = usedUsd - backedUsd;
+  if (shortUsd <= 0.01) return 0;
+  const days = inv.months * DAYS_PER_MONTH + (inv.bonus_days || 0);
+  const priceUsd = inv.price_usd || 0;
+  return days - Math.floor(days * priceUsd / (priceUsd + shortUsd));
+}
+
+// -> { product: previous expires_at } of the subscriptions it ended
+function endSubscriptions(tgId, products, t) {
+  const ended = {};
+  for (const product of products) {
+    const s = S.getSub.get(String(tgId), product);
+    if (s && s.expires_at > t) {
+      S.setSubExpiry.run(t, String(tgId), product);
+      ended[product] = s.expires_at;
+    }
+  }
+  return ended;
+}
+
+// -> { replaced, unusedUsd, days, expiresAt } or null when there is nothing (worth a day) to switch
+const applyDowngrade = db.transaction((tgId, target) => {
+  const q = downgradeQuote(tgId, target);
+  if (!q || q.days < 1) return null;
+  endSubscriptions(tgId, q.replaced, nowTs());
+  const expiresAt = applySubscription(tgId, target, 0, q.days, false);
+  audit(tgId, "sub.downgrade", tgId, { from: q.replaced, to: target, unused_usd: q.unusedUsd, days: q.days, expires_at: expiresAt });
+  return { ...q, expiresAt };
+});
+
+// ===== Promo codes =====
+const PROMO_KINDS = { percent: "percent", fixed: "fixed", setup: "setup_waiver", days: "bonus_days" };
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function promoCodeValid(code) {
+  return /^[A-Z0-9-]{3,20}$/.test(code);
+}
+
+// lc unset (staff views) -> the default locale
+function describePromo(pr, lc) {
+  const value = pr.kind === "fixed" ? fmtUsd(pr.value) : pr.value;
+  return tr(lc, `promo.${pr.kind}`, { value });
+}
+
+// Can this user use the code for this purchase? -> { ok, promo } or { ok: false, key, vars } (locale key of the reason)
+function checkPromo(code, tgId, product, months, setupAlreadyPaid) {
+  const pr = S.getPromo.get(normalizeCode(code));
+  const t = nowTs();
+
+  if (!pr || pr.revoked_at) return { ok: false, key: "promo.invalid" };
+  if (pr.starts_at && t < pr.starts_at) return { ok: false, key: "promo.not_active" };
+  if (pr.ends_at && t > pr.ends_at) return { ok: false, key: "promo.expired" };
+  if (pr.product && pr.product !== product) return { ok: false, key: "promo.product_only", vars: { product: productLabel(pr.product) } };
+  if (pr.months && pr.months !== months) return { ok: false, key: "promo.months_only", vars: { months: pr.months } };
+  // Open invoices with the code count too, so it cannot be put on more invoices than it has uses
+  const uses = pr.max_uses != null ? S.countPromoUses.get({ code: pr.code }) : null;
+  if (uses && uses.used + uses.open >= pr.max_uses) {
+    return { ok: false, key: uses.open ? "promo.reserved" : "promo.used_up" };
+  }
+  const mine = pr.per_user != null ? S.countPromoUserUses.get({ code: pr.code, tg_id: String(tgId) }) : null;
+  if (mine && mine.used + mine.open >= pr.per_user) {
+    return { ok: false, key: mine.open ? "promo.open_invoice" : "promo.already_used" };
+  }
+  if (pr.kind === "setup_waiver" && setupAlreadyPaid) return { ok: false, key: "promo.no_setup" };
+
+  return { ok: true, promo: pr };
+}
+
+// Price after an (already checked) promo and an optional upgrade credit
+// -> { baseUsd, discountUsd, priceUsd, bonusDays, upgradeUsd }
+function applyPromo(product, months, setupAlreadyPaid, promo, upgrade = null) {
+  const baseUsd = calcAmount(product, months, setupAlreadyPaid, upgrade);
+  let discountUsd = 0;
+  let bonusDays = 0;
+  let upgradeUsd = 0;
+
+  if (promo?.kind === "percent") discountUsd = baseUsd * Math.min(100, promo.value) / 100;
+  if (promo?.kind === "fixed") discountUsd = promo.value;
+  if (promo?.kind === "setup_waiver" && !setupAlreadyPaid) {
+    discountUsd = Math.max(0, getProduct(product).setup_usd - (upgrade?.setupCreditUsd || 0));
+  }
+  if (promo?.kind === "bonus_days") bonusDays = Math.floor(promo.value);
+
+  // Upgrade credit above the price becomes extra days of the new product
+  if (upgrade) {
+    const grossUsd = calcAmount(product, months, setupAlreadyPaid, { ...upgrade, unusedUsd: 0 });
+    upgradeUsd = Number(Math.min(upgrade.unusedUsd, grossUsd).toFixed(2));
+    const daily = getProduct(product).monthly_usd / DAYS_PER_MONTH;
+    if (upgrade.unusedUsd > grossUsd && daily > 0) bonusDays += Math.floor((upgrade.unusedUsd - grossUsd) / daily);
   }
 
-  return Number(amount.toFixed(6));
+  discountUsd = Number(Math.min(baseUsd, discountUsd).toFixed(2));
+  return { baseUsd, discountUsd, priceUsd: Number((baseUsd - discountUsd).toFixed(2)), bonusDays, upgradeUsd };
+}
+
+// USD price -> amount in the payment currency at the current rate (stablecoins use their peg)
+async function quoteUsd(priceUsd, currency) {
+  const cur = CURRENCIES[currency];
+  const rate = cur.usd_peg || await priceOracle.getUsdRate(currency);
+  const amount = Number((priceUsd / rate).toFixed(Math.min(6, cur.decimals)));
+  return { rate, amount };
+}
+
+// Pending invoices have INVOICE_EXPIRE_MINUTES, partly paid ones PARTIAL_PAYMENT_HOURS for the rest
+function invoiceWindowSec(inv) {
+  return inv.status === "partial" ? PARTIAL_PAYMENT_HOURS * 3600 : INVOICE_EXPIRE_MINUTES * 60;
 }
 
 function invoiceExpired(inv) {
   const ageSec = nowTs() - inv.created_at;
-  return ageSec > (INVOICE_EXPIRE_MINUTES * 60);
+  return ageSec > invoiceWindowSec(inv);
+}
+
+// Paid on time = the transaction landed before the invoice window closed (the watcher may see it later)
+function paidWithinWindow(inv, blockTime) {
+  if (!blockTime) return !invoiceExpired(inv);
+  return blockTime - inv.created_at <= invoiceWindowSec(inv);
+}
+
+// Raw units still to pay on-chain (amount is what is left after account credit)
+function invoiceDueUnits(inv) {
+  return Math.max(0, toUnits(inv.amount, inv.currency) - (inv.received_units || 0));
+}
+
+// Invoice fields sent in webhook events
+function invoiceEventData(inv) {
+  const { id, tg_id, product, months, currency, amount, price_usd, promo_code, discount_usd, bonus_days, status, created_at, paid_at, tx_sig } = inv;
+  const { received_units, credit_units } = inv;
+  return {
+    id, tg_id, product, months, currency, amount, price_usd, promo_code, discount_usd, bonus_days, received_units, credit_units,
+    gift: !!inv.gift, status, created_at, paid_at, tx_sig,
+  };
 }
 
 // PREPAY: extend from current expiry if still active, else from now
-function applySubscription(tgId, product, months) {
+// paid = false for free days (rewards, grants, conversions): setup_paid is left as it is
+function applySubscription(tgId, product, months, bonusDays = 0, paid = true) {
   const t = nowTs();
   const ex = S.getSub.get(String(tgId), product);
   const base = ex ? Math.max(ex.expires_at, t) : t;
-  const newExpiry = base + secMonths(months);
-  // once paid => setup_paid becomes 1
-  S.upsertSub.run(String(tgId), product, 1, newExpiry);
+  const newExpiry = base + secMonths(months) + secDays(bonusDays || 0);
+  // once paid => setup_paid becomes 1 (never back to 0)
+  S.upsertSub.run(String(tgId), product, paid ? 1 : 0, newExpiry);
+
+  const renewed = !!ex && ex.expires_at > t;
+  webhooks.emit(renewed ? "subscription.renewed" : "subscription.activated", {
+    tg_id: String(tgId), product, months, bonus_days: bonusDays || 0,
+    previous_expires_at: ex ? ex.expires_at : null, expires_at: newExpiry,
+  });
   return newExpiry;
 }
 
-// Invite (1 use / 1 hour)
-async function sendInvite(tgId) {
-  const g = groupId();
-  if (!g) return false;
+// Invoice fully covered -> mark paid, activate (one transaction); a gift invoice creates its code instead (-> null)
+// txSig = the payment that completed it, null for invoices covered by a promo code / credit or marked paid by staff
+const completeInvoice = db.transaction((inv, txSig) => {
+  const t = nowTs();
+  const r = S.markInvoicePaid.run(t, txSig, inv.id);
+  if (r.changes !== 1) throw new Error(`Invoice #${inv.id} is no longer open`);
+  // credit released when the invoice expired unpaid is taken again
+  if (inv.credit_units && S.invoiceCreditNet.get(inv.id).units === 0) {
+    addCredit(inv.tg_id, inv.currency, -inv.credit_units, "applied", inv.id);
+  }
+  S.clearStateFor.run(t, String(inv.tg_id), inv.id);
+  if (inv.promo_code) S.addPromoRedemption.run(inv.promo_code, String(inv.tg_id), inv.id, t);
+  // Upgrade: the replaced subscriptions end now (their unused time is in the price); credit they no longer
+  // cover comes off the new subscription as days
+  let bonusDays = inv.bonus_days || 0;
+  if (inv.upgrade_from) {
+    const shortDays = upgradeShortDays(inv, t);
+    if (shortDays) {
+      bonusDays -= shortDays;
+      audit(inv.tg_id, "invoice.upgrade_short", inv.tg_id, { invoice_id: inv.id, upgrade_from: inv.upgrade_from, days: -shortDays });
+    }
+    S.setUpgradeEnded.run(JSON.stringify(endSubscriptions(inv.tg_id, csvList(inv.upgrade_from), t)), inv.id);
+  }
+  webhooks.emit("invoice.paid", invoiceEventData(S.getInvoice.get(inv.id)));
+  if (inv.gift) {
+    createGift(inv);
+    return null;
+  }
+  convertTrials(inv.tg_id, inv.product, t);
+  return applySubscription(inv.tg_id, inv.product, inv.months, bonusDays);
+});
 
-  try {
-    const invite = await bot.telegram.createChatInviteLink(g, {
-      member_limit: 1,
-      expire_date: nowTs() + 3600,
-    });
-    await bot.telegram.sendMessage(
-      tgId,
-      `✅ Access granted.\nHere is your one-time group invite (valid for 1 hour):\n${invite.invite_link}`
-    );
-    return true;
-  } catch (e) {
-    return false;
+// On-chain payment for an open invoice (one transaction; tx_sig PK blocks double use)
+// Short -> 'partial' until a follow-up tx covers the rest; full -> paid, anything above the amount becomes credit
+// ledger = checkPaymentTx(...).ledger -> { paid, inv, newExpiry, remainingUnits, overUnits }
+const recordInvoicePayment = db.transaction((inv, txSig, ledger) => {
+  S.addPayment.run({
+    tx_sig: txSig, invoice_id: inv.id, topup_id: null, currency: inv.currency,
+    payer: ledger.payer ?? null, lamports: ledger.lamports ?? null, token_amount: ledger.token_amount ?? null,
+    slot: ledger.slot ?? null, block_time: ledger.block_time ?? null, created_at: nowTs(),
+  });
+  S.addInvoiceReceived.run(ledger.units, inv.id);
+
+  const fresh = S.getInvoice.get(inv.id);
+  const remainingUnits = invoiceDueUnits(fresh);
+  if (remainingUnits > 0) {
+    if (!S.markInvoicePartial.run(inv.id).changes) throw new Error(`Invoice #${inv.id} is no longer open`);
+    return { paid: false, inv: S.getInvoice.get(inv.id), remainingUnits };
   }
-}
 
-async function kickIfNoActive(tgId) {
-  const g = groupId();
-  if (!g) return false;
-  if (hasAnyActiveSub(tgId)) return false;
+  const newExpiry = completeInvoice(fresh, txSig);
+  const overUnits = fresh.received_units - toUnits(fresh.amount, fresh.currency);
+  if (overUnits > 0) addCredit(fresh.tg_id, fresh.currency, overUnits, "overpayment", fresh.id);
+  return { paid: true, inv: fresh, newExpiry, overUnits };
+});
 
-  try {
-    await bot.telegram.banChatMember(g, tgId);
-    await bot.telegram.unbanChatMember(g, tgId);
-    return true;
-  } catch (e) {
-    return false;
-  }
+// ===== Account credit (credit_ledger, per currency in raw units) =====
+function addCredit(tgId, currency, units, kind, invoiceId = null, note = null, createdBy = null) {
+  S.addCredit.run({
+    tg_id: String(tgId), currency, units, kind, invoice_id: invoiceId, note,
+    created_by: createdBy != null ? String(createdBy) : null, created_at: nowTs(),
+  });
 }
 
-// ===================== SOLANA VERIFY (memo + treasury + amount) =====================
-async function verifySolanaTx(txSig, expectedAmountSol, expectedMemo) {
-  const tx = await solana.getParsedTransaction(txSig, { maxSupportedTransactionVersion: 0 });
-  if (!tx) return { ok: false, reason: "Transaction not found or not confirmed yet." };
-
-  const ixs = tx.transaction.message.instructions || [];
+function creditBalance(tgId, currency) {
+  return S.creditBalance.get(String(tgId), currency).units;
+}
 
-  // Memo check (parsed OR logs fallback)
-  let memoOk = false;
-  for (const ix of ixs) {
-    const pid = ix.programId?.toBase58?.() || null;
-    if (pid === MEMO_PROGRAM_ID) {
-      if (ix.parsed?.type === "memo" && typeof ix.parsed?.info === "string") {
-        if (ix.parsed.info === expectedMemo) memoOk = true;
-      }
-    }
+// Invoice closed unpaid (expired / cancelled): credit spent on it comes back, a partial payment becomes credit
+// Runs inside the transaction that closed it; safe to call twice
+function releaseInvoiceFunds(inv) {
+  const fresh = S.getInvoice.get(inv.id);
+  if (fresh.credit_units && S.invoiceCreditNet.get(fresh.id).units < 0) {
+    addCredit(fresh.tg_id, fresh.currency, fresh.credit_units, "released", fresh.id);
   }
-  if (!memoOk && Array.isArray(tx.meta?.logMessages)) {
-    const logs = tx.meta.logMessages.join("\n");
-    if (logs.includes(expectedMemo)) memoOk = true;
+  if (fresh.received_units && !S.invoiceCredit.get(fresh.id, "underpayment").units) {
+    addCredit(fresh.tg_id, fresh.currency, fresh.received_units, "underpayment", fresh.id);
   }
-  if (!memoOk) return { ok: false, reason: "Memo/Reference does not match the invoice." };
+  return fresh.received_units;
+}
 
-  // Amount to treasury check
-  const expectedLamports = Math.floor(expectedAmountSol * LAMPORTS_PER_SOL);
-  let receivedLamports = 0;
+// Close an open invoice unpaid -> units of a partial payment now held as credit (null if it was not open)
+const expireInvoice = db.transaction((inv) => {
+  if (!S.expireInvoice.run(inv.id).changes) return null;
+  const kept = releaseInvoiceFunds(inv);
+  webhooks.emit("invoice.expired", invoiceEventData(S.getInvoice.get(inv.id)));
+  return kept;
+});
 
-  for (const ix of ixs) {
-    if (ix.program !== "system") continue;
-    if (!ix.parsed || ix.parsed.type !== "transfer") continue;
-    const info = ix.parsed.info;
-    if (!info) continue;
+const cancelInvoice = db.transaction((inv) => {
+  if (!S.cancelInvoice.run(inv.id).changes) return null;
+  S.clearStateFor.run(nowTs(), String(inv.tg_id), inv.id);
+  return releaseInvoiceFunds(inv);
+});
 
-    if (String(info.destination) === TREASURY_PUBKEY.toBase58()) {
-      receivedLamports += Number(info.lamports || 0);
-    }
-  }
+// Whole days of the invoice's product that `units` buy at the invoice's locked rate (monthly price / 30 per day)
+function creditDays(inv, units) {
+  const p = getProduct(inv.product);
+  const rate = inv.rate_usd || CURRENCIES[inv.currency].usd_peg || 0;
+  if (!p || !p.monthly_usd || !rate) return 0;
+  return Math.floor((fromUnits(units, inv.currency) * rate) / (p.monthly_usd / DAYS_PER_MONTH));
+}
 
-  if (receivedLamports < expectedLamports) {
-    return { ok: false, reason: `Insufficient payment received (${(receivedLamports / LAMPORTS_PER_SOL).toFixed(4)} SOL).` };
+// Overpayment on an invoice -> extra days (once, and only while the credit has not been spent)
+// Not for gifts: the buyer has no subscription of the gift to extend, the overpayment stays credit
+const overpaymentToDays = db.transaction((inv) => {
+  if (inv.gift) return null;
+  const over = S.invoiceCredit.get(inv.id, "overpayment").units;
+  if (!over || S.invoiceCredit.get(inv.id, "to_days").units) return null;
+  if (creditBalance(inv.tg_id, inv.currency) < over) return null;
+  const days = creditDays(inv, over);
+  if (days < 1) return null;
+  addCredit(inv.tg_id, inv.currency, -over, "to_days", inv.id, `+${days} days ${inv.product}`);
+  return { days, expiresAt: applySubscription(inv.tg_id, inv.product, 0, days, false) };
+});
+
+// ===== Gifts (code bound to product + months; whoever redeems it first gets the time) =====
+function newGiftCode() {
+  for (;;) {
+    const code = `GIFT-${Keypair.generate().publicKey.toBase58().slice(0, 10).toUpperCase()}`;
+    if (!S.getGift.get(code)) return code;
   }
+}
 
-  return { ok: true };
+// Paid gift invoice -> its code (inside completeInvoice)
+function createGift(inv) {
+  const pr = inv.promo_code ? S.getPromo.get(inv.promo_code) : null;
+  const code = newGiftCode();
+  S.createGift.run({
+    code, product: inv.product, months: inv.months, bonus_days: inv.bonus_days || 0,
+    setup_usd: pr?.kind === "setup_waiver" ? 0 : (getProduct(inv.product)?.setup_usd || 0),
+    invoice_id: inv.id, purchased_by: String(inv.tg_id), created_at: nowTs(),
+  });
+  return code;
 }
 
-// ===================== UI (Inline Keyboards) =====================
-function kbHome() {
-  return Markup.inlineKeyboard([
-    [Markup.button.callback("🛒 Buy / Renew", "HOME_BUY")],
-    [Markup.button.callback("📦 My Status", "HOME_STATUS")],
-    [Markup.button.callback("💰 Pricing", "HOME_PRICING")],
-    [Markup.button.callback("🆘 Support", "HOME_SUPPORT")],
-  ]);
+// -> { ok: true, gift, expiresAt } or { ok: false, key } (locale key of the reason)
+const redeemGift = db.transaction((tgId, code) => {
+  const gift = S.getGift.get(normalizeCode(code));
+  if (!gift || gift.revoked_at) return { ok: false, key: "gift.invalid" };
+  if (gift.redeemed_at) return { ok: false, key: "gift.already" };
+  const p = getProduct(gift.product);
+  if (!p) return { ok: false, key: "gift.gone" };
+
+  // The price included the setup fee: a recipient who already paid it gets the value as days
+  const ex = S.getSub.get(String(tgId), gift.product);
+  const setupDays = ex?.setup_paid && gift.setup_usd && p.monthly_usd
+    ? Math.floor(gift.setup_usd / (p.monthly_usd / DAYS_PER_MONTH))
+    : 0;
+  S.redeemGift.run(String(tgId), nowTs(), setupDays, gift.code);
+  convertTrials(tgId, gift.product, nowTs());
+  const expiresAt = applySubscription(tgId, gift.product, gift.months, gift.bonus_days + setupDays);
+  return { ok: true, gift: S.getGift.get(gift.code), expiresAt };
+});
+
+function giftLink(code, botUsername) {
+  return botUsername ? `https://t.me/${botUsername}?start=gift_${code}` : null;
 }
 
-function kbBuyProducts() {
-  return Markup.inlineKeyboard([
-    [Markup.button.callback(`${PRODUCTS.paid_access.icon} ${PRODUCTS.paid_access.name}`, "BUY_paid_access")],
-    [Markup.button.callback(`${PRODUCTS.security.icon} ${PRODUCTS.security.name}`, "BUY_security")],
-    [Markup.button.callback(`${PRODUCTS.alerts.icon} ${PRODUCTS.alerts.name}`, "BUY_alerts")],
-    [Markup.button.callback(`${PRODUCTS.bundle.icon} ${PRODUCTS.bundle.name}`, "BUY_bundle")],
-    [Markup.button.callback("⬅️ Back", "HOME")],
-  ]);
+function textGiftPurchased(gift, botUsername, lc) {
+  const link = giftLink(gift.code, botUsername);
+  const vars = { product: productLabel(gift.product), months: gift.months, days: gift.bonus_days, code: gift.code, link };
+  return (
+    `${tr(lc, "gift.purchased")}\n\n` +
+    `${tr(lc, gift.bonus_days ? "gift.line_bonus" : "gift.line", vars)}\n` +
+    `${tr(lc, "gift.code", vars)}\n\n` +
+    `${tr(lc, link ? "gift.share_link" : "gift.share", vars)}\n\n` +
+    tr(lc, "gift.once")
+  );
 }
 
-function kbDuration(productKey) {
-  const p = PRODUCTS[productKey];
-  // Keep it simple + high-conversion options
+function kbGiftShare(gift, botUsername, lc) {
+  const link = giftLink(gift.code, botUsername);
+  if (!link) return kbHome(lc);
+  const share = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(tr(lc, "gift.share_text", { product: productLabel(gift.product) }))}`;
   return Markup.inlineKeyboard([
-    [Markup.button.callback("1 month", `DUR_${productKey}_1`), Markup.button.callback("3 months", `DUR_${productKey}_3`)],
-    [Markup.button.callback("5 months", `DUR_${productKey}_5`), Markup.button.callback("12 months", `DUR_${productKey}_12`)],
-    [Markup.button.callback("⬅️ Back", "HOME_BUY")],
+    [Markup.button.url(tr(lc, "gift.send"), share)],
+    [Markup.button.callback(tr(lc, "common.home"), "HOME")],
   ]);
 }
 
-function kbInvoice(invoiceId) {
-  return Markup.inlineKeyboard([
-    [Markup.button.callback("✅ I paid (enter TX)", `PAID_${invoiceId}`)],
-    [Markup.button.callback("❌ Cancel invoice", `CANCEL_${invoiceId}`)],
-    [Markup.button.callback("⬅️ Back to menu", "HOME")],
-  ]);
+// Message + keyboard for the buyer once an invoice is paid (gifts get their code, not an activation)
+function paidMessage(inv, newExpiry, botUsername) {
+  const lc = userLocale(inv.tg_id);
+  if (!inv.gift) return { text: textPaymentConfirmed(inv.product, newExpiry, lc) };
+  const gift = S.getGiftByInvoice.get(inv.id);
+  return { text: textGiftPurchased(gift, botUsername, lc), extra: kbGiftShare(gift, botUsername, lc) };
 }
 
-// ===================== TEXT BUILDERS =====================
-function textWelcome(meUsername) {
-  return (
-    `✅ Welcome to Accessra.\n\n` +
-    `This bot manages your subscription automatically.\n` +
-    `• 30 days = 1 month\n` +
-    `• Prepay extends your remaining time (renew early = more days)\n` +
-    `• Reminder: ${REMINDER_DAYS_BEFORE} days before expiry\n\n` +
-    `Use the buttons below to continue.`
+// /redeem and gift_ deep links
+async function handleRedeem(ctx, code) {
+  const lc = ctx.state.lc;
+  const r = redeemGift(ctx.from.id, code);
+  if (!r.ok) return ctx.reply(`🎁 ${tr(lc, r.key)}`, kbHome(lc));
+
+  const { gift } = r;
+  await ctx.reply(
+    `${tr(lc, "gift.redeemed", { product: productLabel(gift.product) })}\n` +
+    (gift.setup_days ? `${tr(lc, "gift.setup_days", { days: gift.setup_days })}\n` : "") +
+    tr(lc, "gift.time_left", { days: daysLeft(r.expiresAt) }),
+    kbHome(lc)
   );
+  await sendInvite(ctx.from.id);
+
+  if (gift.purchased_by !== String(ctx.from.id)) {
+    const buyerLc = userLocale(gift.purchased_by);
+    const who = ctx.from.username ? `@${ctx.from.username}` : (ctx.from.first_name || tr(buyerLc, "gift.recipient"));
+    try {
+      await bot.telegram.sendMessage(gift.purchased_by, tr(buyerLc, "gift.redeemed_by", {
+        who, code: gift.code, product: productLabel(gift.product), months: gift.months,
+      }));
+    } catch (_) {}
+  }
 }
 
-function textPricing() {
-  let t = `💰 Pricing\n\n`;
-  for (const k of Object.keys(PRODUCTS)) {
-    const p = PRODUCTS[k];
-    t += `${p.icon} ${p.name} (${k})\n`;
-    t += `• Setup (one-time): ${p.setup} SOL\n`;
-    t += `• Monthly (30 days): ${p.monthly} SOL\n\n`;
-  }
-  if (PAID_ACCESS_SPECIAL.enabled) {
-    t += `🎁 Special\n`;
-    t += `• Paid Access: ${PAID_ACCESS_SPECIAL.pay_sol} SOL = ${PAID_ACCESS_SPECIAL.months} months (renewal)\n\n`;
-  }
-  t += `🔔 Reminder: ${REMINDER_DAYS_BEFORE} days before expiry\n`;
-  t += `👢 Auto-kick: after expiry + ${KICK_GRACE_HOURS_AFTER_EXPIRY} hours grace\n`;
-  return t;
+// ===== Top-ups (Solana Pay request without an amount; the first matching transfer is credited) =====
+function createTopup(tgId) {
+  const info = S.createTopup.run(String(tgId), TOPUP_CURRENCY, newReference(), nowTs());
+  return S.getTopup.get(info.lastInsertRowid);
 }
 
-function textSupport() {
-  return (
-    `🆘 Support\n\n` +
-    `If something goes wrong:\n` +
-    `1) Check "My Status"\n` +
-    `2) Create a new invoice (Buy / Renew)\n` +
-    `3) Pay with the exact Memo/Reference\n` +
-    `4) Press "I paid" and paste your TX signature\n\n` +
-    `Tip: Make sure your payment includes the memo — otherwise it cannot be confirmed automatically.`
-  );
+function topupPayUrl(topup) {
+  return transferRequestUrl(topup.currency, topup.reference, `Top-up #${topup.id}`);
 }
 
-function formatStatus(tgId) {
-  const subs = S.getSubs.all(String(tgId));
-  const active = hasAnyActiveSub(tgId);
-  const bActive = bundleActive(tgId);
+// Landed inside the top-up window (block time when known)
+function topupPaidInTime(topup, blockTime) {
+  return (blockTime || nowTs()) - topup.created_at <= TOPUP_OPEN_HOURS * 3600;
+}
 
-  if (!subs.length) {
-    return `📦 My Status\n\nYou have no active subscriptions.\n\nTap "Buy / Renew" to get started.`;
-  }
+// ledger = checkPaymentTx(tx, topup).ledger (a top-up has currency + reference like an invoice) -> units credited
+const creditTopup = db.transaction((topup, txSig, ledger) => {
+  const t = nowTs();
+  S.addPayment.run({
+    tx_sig: txSig, invoice_id: null, topup_id: topup.id, currency: topup.currency,
+    payer: ledger.payer ?? null, lamports: ledger.lamports ?? null, token_amount: ledger.token_amount ?? null,
+    slot: ledger.slot ?? null, block_time: ledger.block_time ?? null, created_at: t,
+  });
+  if (!S.markTopupCredited.run(ledger.units, txSig, t, topup.id).changes) throw new Error(`Top-up #${topup.id} is no longer open`);
+  S.clearTopupState.run(t, String(topup.tg_id), topup.id);
+  addCredit(topup.tg_id, topup.currency, ledger.units, "topup", null, `top-up #${topup.id}`);
+  return ledger.units;
+});
 
-  let t = `📦 My Status\n\n`;
-  for (const s of subs) {
-    const p = PRODUCTS[s.product];
-    const icon = p?.icon || "•";
-    const name = p?.name || s.product;
-    t += `${icon} ${name}: ${daysLeft(s.expires_at)} days left\n`;
-  }
-  t += `\nBundle active: ${bActive ? "✅" : "❌"}\n`;
-  t += `Access active: ${active ? "✅" : "❌"}\n\n`;
-  t += `Renew early to extend your remaining time (prepay).`;
-  return t;
+async function notifyTopup(topup, units) {
+  try {
+    await bot.telegram.sendMessage(
+      topup.tg_id,
+      tr(userLocale(topup.tg_id), "topup.received", {
+        amount: fmtUnits(units, topup.currency), balance: fmtUnits(creditBalance(topup.tg_id, topup.currency), topup.currency),
+      }),
+      kbHome(userLocale(topup.tg_id))
+    );
+  } catch (_) {}
 }
 
-// ===================== COMMANDS =====================
-bot.start(async (ctx) => {
+// Auto-renew: the product's shortest duration at today's price, paid from the TOPUP_CURRENCY balance
+// -> { ok: true, months, inv, newExpiry, units } or { ok: false, months, needUnits, balanceUnits }
+async function renewFromBalance(tgId, sub) {
+  const p = getProduct(sub.product);
+  if (!productValid(sub.product)) return { ok: false, months: 0, needUnits: 0, balanceUnits: 0 };
+  const months = p.durations.includes(1) ? 1 : p.durations[0];
+  const { priceUsd } = applyPromo(sub.product, months, sub.setup_paid === 1, null);
+  const quote = await quoteUsd(priceUsd, TOPUP_CURRENCY);
+
+  const needUnits = toUnits(quote.amount, TOPUP_CURRENCY);
+  const balanceUnits = creditBalance(tgId, TOPUP_CURRENCY);
+  if (balanceUnits < needUnits) return { ok: false, months, needUnits, balanceUnits };
+
+  const inv = openInvoice({
+    tg_id: String(tgId), product: sub.product, months, currency: TOPUP_CURRENCY, amount: 0, amount_sol: 0,
+    price_usd: priceUsd, rate_usd: quote.rate, promo_code: null, discount_usd: null, bonus_days: null,
+    credit_units: needUnits, upgrade_from: null, upgrade_usd: null, gift: 0, memo: memoFor(tgId, sub.product), reference: null, created_at: nowTs(),
+  });
+  return { ok: true, months, inv, newExpiry: completeInvoice(inv, null), units: needUnits };
+}
+
+// One persistent join-request link per chat (forwarding it is harmless: every request is checked)
+function storedJoinLink(chatId) {
+  return S.getSetting.get(`join_link_${chatId}`)?.v || null;
+}
+
+async function ensureJoinLink(chatId) {
+  const existing = storedJoinLink(chatId);
+  if (existing) return existing;
+  try {
+    const link = await bot.telegram.createChatInviteLink(chatId, { name: "Accessra members", creates_join_request: true });
+    S.setSetting.run(`join_link_${chatId}`, link.invite_link);
+    return link.invite_link;
+  } catch (e) {
+    console.error(`join link error (${chatId}):`, e.message || e);
+    return null;
+  }
+}
+
+// Join links for every linked chat the user has access to
+async function sendInvite(tgId) {
+  const lines = [];
+  for (const c of linkedChats()) {
+    if (!chatAccess(tgId, c.chatId)) continue;
+    const link = await ensureJoinLink(c.chatId);
+    if (link) lines.push(`${c.title || tr(userLocale(tgId), "status.group")}: ${link}`);
+  }
+  if (!lines.length) return false;
+
+  try {
+    await bot.telegram.sendMessage(tgId, tr(userLocale(tgId), "access.granted", { links: lines.join("\n") }));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function trackMember(chatId, tgId, status) {
+  S.setMember.run({ chat_id: String(chatId), tg_id: String(tgId), status, t: nowTs() });
+}
+
+// reason: expired (access lapsed after grace) | no_access (membership audit)
+async function removeFromChat(chatId, tgId, reason) {
+  try {
+    await bot.telegram.banChatMember(chatId, tgId);
+    await bot.telegram.unbanChatMember(chatId, tgId);
+    trackMember(chatId, tgId, "removed");
+    webhooks.emit("member.removed", { chat_id: String(chatId), tg_id: String(tgId), reason });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Lapsed = no access now, and either never entitled or past the grace period after the last expiry
+function accessLapsed(tgId, chatId) {
+  if (chatAccess(tgId, chatId)) return false;
+  const lastExpiry = chatAccessExpiry(tgId, chatId);
+  return !lastExpiry || nowTs() - lastExpiry >= KICK_GRACE_HOURS_AFTER_EXPIRY * 3600;
+}
+
+// Remove from each linked chat whose granting products lapsed more than the grace period ago
+async function kickLapsed(tgId) {
+  let kicked = 0;
+
+  for (const c of linkedChats()) {
+    // never had a granting product -> nothing to lapse here (the membership audit handles intruders)
+    if (!chatAccessExpiry(tgId, c.chatId) || !accessLapsed(tgId, c.chatId)) continue;
+    // known to be out already -> skip the API calls
+    const m = S.getMember.get(c.chatId, String(tgId));
+    if (m && m.status !== "member") continue;
+
+    if (await removeFromChat(c.chatId, tgId, "expired")) kicked += 1;
+  }
+  return kicked;
+}
+
+// Tracked members without an entitlement (added by someone, access changed since, ...). Only members the bot
+// has seen join (chat_member updates / approved requests) are known: the Bot API cannot list the others,
+// so anyone who joined before the bot was admin in the chat stays until they leave or staff removes them
+async function auditMembers() {
+  for (const c of linkedChats()) {
+    for (const m of S.listChatMembers.all(c.chatId)) {
+      if (roleOf(m.tg_id)) continue;
+      if (accessLapsed(m.tg_id, c.chatId)) await removeFromChat(c.chatId, m.tg_id, "no_access");
+    }
+  }
+}
+
+// ===== Free trials (a subscriptions row with setup_paid = 0; trials row = the one-per-product record) =====
+// The subscription is still the trial (not extended by a payment or staff since)
+function onTrial(sub) {
+  const trial = S.getTrial.get(String(sub.tg_id), sub.product);
+  return trial?.status === "started" && trial.ends_at === sub.expires_at && sub.expires_at > nowTs();
+}
+
+// Paid for (or redeemed a gift of) a product -> trials it covers count as converted
+function convertTrials(tgId, product, t) {
+  for (const k of [product, ...(getProduct(product)?.includes || [])]) S.convertTrial.run(t, String(tgId), k);
+}
+
+// Why this user can't start a trial of the product -> { key, vars } for tr(), or null
+function trialBlocker(tgId, productKey) {
+  const p = getProduct(productKey);
+  if (!p?.active || !p.trial_days) return { key: "trial.unavailable", vars: {} };
+  const prev = S.getTrial.get(String(tgId), productKey);
+  if (prev) return { key: prev.status === "pending" ? "trial.pending" : "trial.used", vars: { product: productLabel(productKey) } };
+  // New customers only: any subscription that grants the product (current or lapsed)
+  if (productsGranting(productKey).some(k => S.getSub.get(String(tgId), k))) {
+    return { key: "trial.customer", vars: { product: productLabel(productKey) } };
+  }
+  const u = S.getUser.get(String(tgId));
+  if (TRIAL_REQUIRE_USERNAME && !u?.username) return { key: "trial.no_username", vars: {} };
+  const waitHours = Math.ceil(((u?.created_at || nowTs()) + TRIAL_MIN_ACCOUNT_HOURS * 3600 - nowTs()) / 3600);
+  if (waitHours > 0) return { key: "trial.too_new", vars: { hours: waitHours } };
+  return null;
+}
+
+// Start now (decidedBy = approving staff) or record the request for approval -> { status, endsAt }
+const beginTrial = db.transaction((tgId, productKey, decidedBy = null) => {
+  const p = getProduct(productKey);
+  const t = nowTs();
+  const endsAt = t + secDays(p.trial_days);
+  const pending = S.getTrial.get(String(tgId), productKey)?.status === "pending";
+
+  if (TRIAL_APPROVAL && !decidedBy) {
+    S.createTrial.run({
+      tg_id: String(tgId), product: productKey, days: p.trial_days, status: "pending", requested_at: t,
+      decided_by: null, started_at: null, ends_at: null,
+    });
+    return { status: "pending", endsAt: null };
+  }
+  if (pending) {
+    S.startTrial.run(String(decidedBy), t, endsAt, String(tgId), productKey);
+  } else {
+    S.createTrial.run({
+      tg_id: String(tgId), product: productKey, days: p.trial_days, status: "started", requested_at: t,
+      decided_by: null, started_at: t, ends_at: endsAt,
+    });
+  }
+  S.insertTrialSub.run(String(tgId), productKey, endsAt);
+  webhooks.emit("trial.started", { tg_id: String(tgId), product: productKey, days: p.trial_days, expires_at: endsAt });
+  return { status: "started", endsAt };
+});
+
+// Trial is live: tell the user, send the join links (same lifecycle as a paid subscription from here)
+async function announceTrial(tgId, productKey) {
+  const lc = userLocale(tgId);
+  const p = getProduct(productKey);
+  try {
+    await bot.telegram.sendMessage(tgId, tr(lc, "trial.started", { product: productLabel(productKey), days: p.trial_days }), kbHome(lc));
+  } catch (_) {}
+  await sendInvite(tgId);
+}
+
+// Staff who can approve trials (subs permission)
+function trialApprovers() {
+  return [OWNER_ID, ...S.listStaff.all().filter(st => (ROLE_PERMS[st.role] || []).includes("subs")).map(st => st.tg_id)];
+}
+
+async function askTrialApproval(tgId, productKey) {
+  const u = S.getUser.get(String(tgId));
+  const text =
+    `🆓 Trial request\n\n` +
+    `User: ${tgId}${u?.username ? ` (@${u.username})` : ""}\n` +
+    `Product: ${productLabel(productKey)} · ${getProduct(productKey).trial_days} days\n` +
+    `First seen: ${fmtDateTime(u?.created_at || nowTs())}`;
+  const kb = Markup.inlineKeyboard([[
+    Markup.button.callback("✅ Approve", `TRIALS:ok:${tgId}:${productKey}`),
+    Markup.button.callback("❌ Deny", `TRIALS:no:${tgId}:${productKey}`),
+  ]]);
+  for (const id of new Set(trialApprovers())) {
+    try {
+      await bot.telegram.sendMessage(id, text, kb);
+    } catch (_) {}
+  }
+}
+
+// ===== Renewal reminders (per-product schedule, one reminder_log row per stage and subscription period) =====
+// "-7,-3,grace,+3:CODE" -> [{ stage, kind, days, promo }] in send order (null = invalid)
+function parseReminderSchedule(v) {
+  const stages = [];
+  for (const tok of csvList(v)) {
+    let m;
+    if (tok.toLowerCase() === "grace") {
+      stages.push({ stage: "grace", kind: "grace", days: 0, promo: null });
+    } else if ((m = /^-(\d{1,3})$/.exec(tok)) && Number(m[1]) > 0) {
+      stages.push({ stage: `before:${Number(m[1])}`, kind: "before", days: Number(m[1]), promo: null });
+    } else if ((m = /^\+(\d{1,3})(?::([A-Za-z0-9-]{3,20}))?$/.exec(tok)) && Number(m[1]) > 0) {
+      stages.push({ stage: `winback:${Number(m[1])}`, kind: "winback", days: Number(m[1]), promo: m[2] ? normalizeCode(m[2]) : null });
+    } else {
+      return null;
+    }
+  }
+  if (!stages.length || new Set(stages.map(st => st.stage)).size !== stages.length) return null;
+  const order = (st) => (st.kind === "before" ? -st.days : st.kind === "grace" ? 0 : st.days);
+  return stages.sort((a, b) => order(a) - order(b));
+}
+
+function formatReminderSchedule(stages) {
+  return stages.map(st => (
+    st.kind === "grace" ? "grace" : st.kind === "before" ? `-${st.days}` : `+${st.days}${st.promo ? `:${st.promo}` : ""}`
+  )).join(",");
+}
+
+// A trial gets one conversion prompt instead of the product's pre-expiry reminders
+function reminderSchedule(product, trial = false) {
+  const stages = parseReminderSchedule(getProduct(product)?.reminders || "") || parseReminderSchedule(DEFAULT_REMINDER_SCHEDULE);
+  if (!trial) return stages;
+  return [{ stage: "trial_end", kind: "trial", days: 0, promo: null }, ...stages.filter(st => st.kind !== "before")];
+}
+
+// A stage can be sent from `at` until `until` (pre-expiry: until expiry, grace: until the kick)
+function stageWindow(st, expiresAt) {
+  if (st.kind === "before") return { at: expiresAt - st.days * 86400, until: expiresAt };
+  if (st.kind === "trial") return { at: expiresAt - TRIAL_PROMPT_HOURS_BEFORE_END * 3600, until: expiresAt };
+  if (st.kind === "grace") return { at: expiresAt, until: expiresAt + KICK_GRACE_HOURS_AFTER_EXPIRY * 3600 };
+  const at = expiresAt + st.days * 86400;
+  return { at, until: at + WINBACK_CATCHUP_HOURS * 3600 };
+}
+
+// Grace: only while a linked chat granted by this product is about to remove the user
+// Win-back: only when the user has nothing active (renewed / moved to another product = not churned)
+function reminderApplies(tgId, sub, st) {
+  if (st.kind === "grace") {
+    return linkedChats().some(c =>
+      (c.products.includes("*") || c.products.some(p => productsGranting(p).includes(sub.product))) &&
+      !chatAccess(tgId, c.chatId)
+    );
+  }
+  if (st.kind === "winback") return !hasAnyActiveSub(tgId);
+  return true;
+}
+
+// Win-back promo, if this user can still use it (else the message goes out without it); a code for a
+// duration the product no longer sells could not be used at checkout
+function winbackPromo(code, tgId, sub) {
+  const pr = S.getPromo.get(code);
+  if (!pr || (pr.months && !getProduct(sub.product)?.durations.includes(pr.months))) return null;
+  const c = checkPromo(code, tgId, sub.product, pr.months, !!sub.setup_paid);
+  return c.ok ? c.promo : null;
+}
+
+// Sends the latest due, not yet logged stage of this subscription period. Earlier stages that are
+// still due (bot was down, schedule just added) are logged as superseded instead of sent in a burst,
+// and so are stages whose window closed before they could go out (every stage ends up in reminder_log).
+// extraLine: added to pre-expiry reminders (auto-renew short of balance)
+async function sendDueReminder(tgId, sub, extraLine = "") {
+  const t = nowTs();
+  const key = [String(tgId), sub.product, sub.expires_at];
+  const logged = new Set(S.listReminderStages.all(...key).map(r => r.stage));
+  const reached = reminderSchedule(sub.product, onTrial(sub))
+    .map(st => ({ ...st, ...stageWindow(st, sub.expires_at) }))
+    .filter(st => !logged.has(st.stage) && st.at <= t);
+  const missed = reached.filter(st => t >= st.until);
+  if (missed.length) {
+    db.transaction(() => {
+      for (const st of missed) S.logReminder.run(...key, st.stage, "superseded", null, t);
+    })();
+  }
+  const due = reached.filter(st => t < st.until && reminderApplies(tgId, sub, st));
+  if (!due.length) return null;
+  const st = due[due.length - 1];
+
+  const lc = userLocale(tgId);
+  const product = productLabel(sub.product);
+  const winback = st.kind === "winback" && st.promo ? winbackPromo(st.promo, tgId, sub) : null;
+  const offer = renewalOffer(tgId, sub.product, winback?.code);
+  // Only announce the code when the renew buttons carry it (or there are none and it is typed in by hand)
+  const promo = offer ? offer.promo : winback;
+  let text;
+  if (st.kind === "before") {
+    text = `${tr(lc, "cron.reminder", { product, days: daysLeft(sub.expires_at) })}\n${extraLine}${tr(lc, "cron.reminder_renew")}`;
+  } else if (st.kind === "trial") {
+    text = tr(lc, "trial.ending", { product, hours: Math.ceil((sub.expires_at - t) / 3600) });
+  } else if (st.kind === "grace") {
+    text = tr(lc, "cron.grace", { product, hours: Math.ceil((st.until - t) / 3600) });
+  } else {
+    text = tr(lc, "cron.winback", { product }) +
+      (promo ? `\n\n${tr(lc, "cron.winback_promo", { code: promo.code, offer: describePromo(promo, lc) })}` : "");
+  }
+
+  text += `\n\n${offer ? offer.line : tr(lc, "cron.open_bot")}`;
+
+  let status = "sent";
+  try {
+    await bot.telegram.sendMessage(tgId, text, offer?.extra);
+  } catch (e) {
+    // 403 = blocked the bot / account deleted: don't retry this stage; anything else -> next run
+    if ((e.code || e.response?.error_code) !== 403) return null;
+    status = "blocked";
+  }
+
+  db.transaction(() => {
+    for (const old of due.slice(0, -1)) S.logReminder.run(...key, old.stage, "superseded", null, t);
+    S.logReminder.run(...key, st.stage, status, promo?.code || null, t);
+    if (st.kind === "before") S.updateReminder.run(t, String(tgId), sub.product);
+  })();
+  if (status === "sent" && st.kind === "before") {
+    webhooks.emit("subscription.expiring", { tg_id: String(tgId), product: sub.product, expires_at: sub.expires_at, days_left: daysLeft(sub.expires_at) });
+  }
+  return st;
+}
+
+// ===================== SOLANA VERIFY (reference/memo + treasury + amount) =====================
+function txHasReference(tx, reference) {
+  const keys = tx.transaction.message.accountKeys || [];
+  return keys.some(k => (k.pubkey?.toBase58?.() || String(k.pubkey || k)) === reference);
+}
+
+function txHasMemo(tx, expectedMemo) {
+  const ixs = tx.transaction.message.instructions || [];
+
+  // Memo check (parsed OR logs fallback)
+  for (const ix of ixs) {
+    const pid = ix.programId?.toBase58?.() || null;
+    if (pid === MEMO_PROGRAM_ID) {
+      if (ix.parsed === expectedMemo) return true;
+      if (ix.parsed?.type === "memo" && typeof ix.parsed?.info === "string") {
+        if (ix.parsed.info === expectedMemo) return true;
+      }
+    }
+  }
+  if (Array.isArray(tx.meta?.logMessages)) {
+    const logs = tx.meta.logMessages.join("\n");
+    if (logs.includes(expectedMemo)) return true;
+  }
+  return false;
+}
+
+// Sender of the first transfer into the treasury (SOL source / token authority), else the fee payer
+function txPayer(tx, currency) {
+  const ixs = tx.transaction.message.instructions || [];
+  const treasury = CURRENCIES[currency]?.mint ? treasuryTokenAccount(currency).toBase58() : TREASURY_PUBKEY.toBase58();
+  for (const ix of ixs) {
+    const info = ix.parsed?.info;
+    if (!info || String(info.destination) !== treasury) continue;
+    const from = info.source && ix.program === "system" ? info.source : info.authority || info.multisigAuthority;
+    if (from) return String(from);
+  }
+  const k = (tx.transaction.message.accountKeys || [])[0];
+  return k ? (k.pubkey?.toBase58?.() || String(k.pubkey || k)) : null;
+}
+
+function lamportsToTreasury(tx) {
+  const ixs = tx.transaction.message.instructions || [];
+  let receivedLamports = 0;
+
+  for (const ix of ixs) {
+    if (ix.program !== "system") continue;
+    if (!ix.parsed || ix.parsed.type !== "transfer") continue;
+    const info = ix.parsed.info;
+    if (!info) continue;
+
+    if (String(info.destination) === TREASURY_PUBKEY.toBase58()) {
+      receivedLamports += Number(info.lamports || 0);
+    }
+  }
+  return receivedLamports;
+}
+
+// spl-token transfer / transferChecked into the treasury's associated token account for the mint (raw units)
+function tokensToTreasury(tx, currency) {
+  const ixs = tx.transaction.message.instructions || [];
+  const { mint } = CURRENCIES[currency];
+  const ata = treasuryTokenAccount(currency).toBase58();
+  let received = 0;
+
+  for (const ix of ixs) {
+    if (ix.program !== "spl-token") continue;
+    const type = ix.parsed?.type;
+    const info = ix.parsed?.info;
+    if (!info || String(info.destination) !== ata) continue;
+
+    if (type === "transfer") {
+      received += Number(info.amount || 0);
+    } else if (type === "transferChecked" && String(info.mint) === mint) {
+      received += Number(info.tokenAmount?.amount || 0);
+    }
+  }
+  return received;
+}
+
+// Raw units (lamports / token base units) the invoice currency received
+function receivedUnits(tx, currency) {
+  return CURRENCIES[currency].mint ? tokensToTreasury(tx, currency) : lamportsToTreasury(tx);
+}
+
+// Reference key for Solana Pay invoices, memo only for invoices created before references
+function txMatchesInvoice(tx, inv) {
+  return inv.reference ? txHasReference(tx, inv.reference) : txHasMemo(tx, inv.memo);
+}
+
+// Checks an already-fetched parsed transaction against an invoice's reference + treasury transfer
+// Any amount is accepted (less than due -> partial payment); ok -> ledger: what gets stored in payments
+// (payer, amounts received, slot, block time) + units credited to the invoice
+function checkPaymentTx(tx, inv) {
+  if (tx.meta?.err) return { ok: false, reason: "Transaction failed on-chain." };
+  if (!txMatchesInvoice(tx, inv)) return { ok: false, reason: "Memo/Reference does not match the invoice." };
+
+  // Amount to treasury check (SOL or the invoice's token)
+  const cur = CURRENCIES[inv.currency];
+  const received = receivedUnits(tx, inv.currency);
+  if (received <= 0) return { ok: false, reason: `No ${cur.key} transfer to the treasury in this transaction.` };
+
+  return {
+    ok: true,
+    ledger: {
+      units: received,
+      payer: txPayer(tx, inv.currency),
+      lamports: lamportsToTreasury(tx),
+      token_amount: cur.mint ? received : null,
+      slot: tx.slot ?? null,
+      block_time: tx.blockTime ?? null,
+    },
+  };
+}
+
+async function verifySolanaTx(txSig, inv) {
+  const tx = await solana.getParsedTransaction(txSig, { maxSupportedTransactionVersion: 0 });
+  if (!tx) return { ok: false, reason: "Transaction not found or not confirmed yet." };
+  return checkPaymentTx(tx, inv);
+}
+
+// ===================== REFERRALS =====================
+function refCodeFor(tgId) {
+  const u = S.getUser.get(String(tgId));
+  if (u?.ref_code) return u.ref_code;
+  for (;;) {
+    const code = Keypair.generate().publicKey.toBase58().slice(0, 8).toLowerCase();
+    if (!S.getUserByRefCode.get(code)) {
+      S.setRefCode.run(code, String(tgId));
+      return S.getUser.get(String(tgId)).ref_code;
+    }
+  }
+}
+
+// Attribute only users who have no referrer yet and never paid (self-referral ignored)
+function attributeReferral(tgId, code) {
+  const referrer = S.getUserByRefCode.get(String(code).toLowerCase());
+  if (!referrer || referrer.tg_id === String(tgId)) return false;
+  if (S.countPaidInvoices.get(String(tgId)).n > 0) return false;
+  return S.setReferrer.run(referrer.tg_id, nowTs(), String(tgId)).changes === 1;
+}
+
+// First paid invoice of a referred user -> reward the referrer
+// days: added to the referrer's latest subscription (falls back to commission if they have none)
+async function rewardReferrer(inv) {
+  const u = S.getUser.get(String(inv.tg_id));
+  if (!u?.referred_by || !(inv.price_usd > 0)) return;
+  if (S.countPaidInvoices.get(String(inv.tg_id)).n !== 1) return;
+
+  const base = { referrer_id: u.referred_by, referred_id: u.tg_id, invoice_id: inv.id, created_at: nowTs() };
+  const latest = S.getSubs.all(u.referred_by).sort((a, b) => b.expires_at - a.expires_at)[0];
+
+  if (REFERRAL_REWARD === "days" && latest) {
+    const r = S.addReferralReward.run({ ...base, kind: "days", days: REFERRAL_BONUS_DAYS, product: latest.product, amount_sol: null, status: "credited" });
+    if (!r.changes) return;
+    applySubscription(u.referred_by, latest.product, 0, REFERRAL_BONUS_DAYS, false);
+    await notifyReferrer(u.referred_by, "refer.got_days", { days: REFERRAL_BONUS_DAYS, product: productLabel(latest.product) });
+    return;
+  }
+
+  // price_usd / rate covers the part paid from the balance too (amount_sol is only the on-chain rest)
+  let amountSol = inv.rate_usd ? inv.price_usd / inv.rate_usd : inv.amount_sol;
+  if (inv.currency !== "SOL") {
+    try {
+      amountSol = inv.price_usd / await priceOracle.getUsdRate("SOL");
+    } catch (e) {
+      console.error("referral rate error:", e.message || e);
+      return;
+    }
+  }
+  amountSol = Number((amountSol * REFERRAL_COMMISSION_PCT / 100).toFixed(6));
+
+  if (REFERRAL_REWARD === "credit") {
+    const r = S.addReferralReward.run({ ...base, kind: "credit", days: null, product: null, amount_sol: amountSol, status: "credited" });
+    if (!r.changes) return;
+    addCredit(u.referred_by, "SOL", toUnits(amountSol, "SOL"), "referral", inv.id, `referral ${u.tg_id}`);
+    await notifyReferrer(u.referred_by, "refer.got_credit", { sol: amountSol });
+    return;
+  }
+
+  const r = S.addReferralReward.run({ ...base, kind: "commission", days: null, product: null, amount_sol: amountSol, status: "owed" });
+  if (r.changes) await notifyReferrer(u.referred_by, "refer.got_commission", { sol: amountSol });
+}
+
+// rewardKey / vars: the refer.got_* line of what they received
+async function notifyReferrer(tgId, rewardKey, vars) {
+  const lc = userLocale(tgId);
+  try {
+    await bot.telegram.sendMessage(tgId, tr(lc, "refer.notify", { reward: tr(lc, rewardKey, vars) }));
+  } catch (_) {}
+}
+
+function textRefer(tgId, botUsername, lc) {
+  const link = `https://t.me/${botUsername}?start=ref_${refCodeFor(tgId)}`;
+  const tot = S.referralTotals.get(String(tgId));
+  const reward = REFERRAL_REWARD === "days"
+    ? tr(lc, "refer.reward_days", { days: REFERRAL_BONUS_DAYS })
+    : tr(lc, REFERRAL_REWARD === "credit" ? "refer.reward_credit" : "refer.reward_commission", { pct: REFERRAL_COMMISSION_PCT });
+
+  return (
+    tr(lc, "refer.text", {
+      reward, link, referred: S.countReferred.get(String(tgId)).n, converted: tot.converted, days: tot.days,
+      paid: Number(tot.paid_sol.toFixed(6)), owed: Number(tot.owed_sol.toFixed(6)),
+    }) +
+    (tot.credited_sol ? tr(lc, "refer.credited", { sol: Number(tot.credited_sol.toFixed(6)) }) : "")
+  );
+}
+
+// Everything that should happen once an invoice is paid (any path: manual, watcher, free)
+async function afterInvoicePaid(inv) {
+  try {
+    await rewardReferrer(S.getInvoice.get(inv.id));
+  } catch (e) {
+    console.error("referral reward error:", e.message || e);
+  }
+}
+
+// ===================== UI (Inline Keyboards) =====================
+// lc = locale code (ctx.state.lc in handlers, userLocale(tgId) elsewhere)
+function kbHome(lc) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(tr(lc, "home.buy"), "HOME_BUY")],
+    [Markup.button.callback(tr(lc, "home.status"), "HOME_STATUS"), Markup.button.callback(tr(lc, "home.balance"), "HOME_BALANCE")],
+    [Markup.button.callback(tr(lc, "home.pricing"), "HOME_PRICING")],
+    [Markup.button.callback(tr(lc, "home.refer"), "HOME_REFER")],
+    [Markup.button.callback(tr(lc, "home.support"), "HOME_SUPPORT"), Markup.button.callback(tr(lc, "home.language"), "LANG")],
+  ]);
+}
+
+function kbBuyProducts(lc) {
+  const rows = listProducts({ activeOnly: true }).map(p => [Markup.button.callback(`${p.icon} ${p.name}`, `BUY_${p.key}`)]);
+  rows.push([Markup.button.callback(tr(lc, "common.back"), "HOME")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// tgId set -> "Try free" first when the product has a trial this user can still start
+function kbDuration(productKey, lc, tgId = null) {
+  const p = getProduct(productKey);
+  // Two options per row, from the product's allowed durations
+  const btns = p.durations.map(m => Markup.button.callback(
+    m === 1 ? tr(lc, "duration.one") : tr(lc, "duration.many", { months: m }), `DUR_${productKey}_${m}`
+  ));
+  const rows = [];
+  if (tgId && p.trial_days && !trialBlocker(tgId, productKey)) {
+    rows.push([Markup.button.callback(tr(lc, "trial.button", { days: p.trial_days }), `TRIAL_${productKey}`)]);
+  }
+  for (let i = 0; i < btns.length; i += 2) rows.push(btns.slice(i, i + 2));
+  rows.push([Markup.button.callback(tr(lc, "common.back"), "HOME_BUY")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// Checkout: currency choice + promo code (code travels in the callback as PAY_<product>_<months>_<CUR>:<CODE>)
+// tgId set -> one "use balance" button per currency the user holds credit in (rest paid on-chain in that currency)
+// gift -> PAYG_ / PAYBG_ / PROMOG_ (same flow, the invoice becomes a gift code)
+function kbCheckout(productKey, months, code, tgId, gift = false) {
+  const lc = userLocale(tgId);
+  const suffix = code ? `:${code}` : "";
+  const g = gift ? "G" : "";
+  const checkout = gift ? `GIFT_${productKey}_${months}` : `DUR_${productKey}_${months}`;
+  const rows = ENABLED_CURRENCIES.map(c => [
+    Markup.button.callback(tr(lc, "checkout.pay_in", { icon: CURRENCIES[c].icon, currency: c }), `PAY${g}_${productKey}_${months}_${c}${suffix}`),
+  ]);
+  for (const c of ENABLED_CURRENCIES) {
+    const units = tgId ? creditBalance(tgId, c) : 0;
+    if (units > 0) {
+      rows.push([Markup.button.callback(tr(lc, "checkout.use_balance", { amount: fmtUnits(units, c) }), `PAYB${g}_${productKey}_${months}_${c}${suffix}`)]);
+    }
+  }
+  rows.push([
+    code
+      ? Markup.button.callback(tr(lc, "checkout.remove_code"), checkout)
+      : Markup.button.callback(tr(lc, "checkout.have_code"), `PROMO${g}_${productKey}_${months}`),
+  ]);
+  rows.push([
+    gift
+      ? Markup.button.callback(tr(lc, "checkout.for_myself"), `DUR_${productKey}_${months}`)
+      : Markup.button.callback(tr(lc, "checkout.as_gift"), `GIFT_${productKey}_${months}`),
+  ]);
+  rows.push([Markup.button.callback(tr(lc, "common.back"), `BUY_${productKey}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// One-tap renewal under reminder / expiry DMs: each button is the checkout's PAY_ / PAYB_ (creates the invoice)
+// Duration = the user's last paid one for this product while still offered (a win-back promo's own months win)
+// -> { line, extra, promo (the code the buttons apply, or null) } for the DM, or null when the product can't be bought now
+function renewalOffer(tgId, productKey, code = null) {
+  if (!productValid(productKey) || !ENABLED_CURRENCIES.length) return null;
+  const lc = userLocale(tgId);
+  const p = getProduct(productKey);
+  const last = S.lastPaidMonths.get(String(tgId), productKey)?.months;
+  let months = p.durations.includes(last) ? last : (p.durations.includes(1) ? 1 : p.durations[0]);
+
+  const pr = code ? S.getPromo.get(code) : null;
+  if (pr?.months && p.durations.includes(pr.months)) months = pr.months;
+  const { setupAlreadyPaid, upgrade } = checkoutBasis(tgId, productKey, false);
+  const pc = pr ? checkPromo(pr.code, tgId, productKey, months, setupAlreadyPaid) : null;
+  const promo = pc?.ok ? pc.promo : null;
+  const { priceUsd } = applyPromo(productKey, months, setupAlreadyPaid, promo, upgrade);
+
+  const suffix = promo ? `:${promo.code}` : "";
+  const rows = ENABLED_CURRENCIES.map(c => [
+    Markup.button.callback(tr(lc, "checkout.pay_in", { icon: CURRENCIES[c].icon, currency: c }), `PAY_${productKey}_${months}_${c}${suffix}`),
+  ]);
+  for (const c of ENABLED_CURRENCIES) {
+    const units = creditBalance(tgId, c);
+    if (units > 0) {
+      rows.push([Markup.button.callback(tr(lc, "checkout.use_balance", { amount: fmtUnits(units, c) }), `PAYB_${productKey}_${months}_${c}${suffix}`)]);
+    }
+  }
+  rows.push([Markup.button.callback(tr(lc, "renew.other"), `BUY_${productKey}`)]);
+  return { line: tr(lc, "renew.line", { months, price: fmtUsd(priceUsd) }), extra: Markup.inlineKeyboard(rows), promo };
+}
+
+// Auto-renew toggle per subscription (renews from the balance at the reminder)
+function kbStatus(tgId) {
+  const lc = userLocale(tgId);
+  const rows = S.getSubs.all(String(tgId)).filter(s => productValid(s.product)).map(s => [
+    Markup.button.callback(
+      tr(lc, "status.auto_renew", { product: getProduct(s.product).name, state: tr(lc, s.auto_renew ? "status.on" : "status.off") }),
+      `AUTORENEW_${s.product}`
+    ),
+  ]);
+  const opts = planChanges(tgId);
+  if (opts.upgrades.length || opts.downgrades.length) rows.push([Markup.button.callback(tr(lc, "status.upgrade"), "UPGRADE")]);
+  rows.push([Markup.button.callback(tr(lc, "home.balance"), "HOME_BALANCE"), Markup.button.callback(tr(lc, "common.back"), "HOME")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// Products the user can move to: upgrades (paid, credit for unused time) and downgrades (free, time converted)
+function planChanges(tgId) {
+  const products = listProducts({ activeOnly: true });
+  return {
+    upgrades: products.map(p => ({ p, q: upgradeQuote(tgId, p.key) })).filter(x => x.q),
+    downgrades: products.map(p => ({ p, q: downgradeQuote(tgId, p.key) })).filter(x => x.q && x.q.days >= 1),
+  };
+}
+
+function kbPlanChanges(tgId) {
+  const lc = userLocale(tgId);
+  const { upgrades, downgrades } = planChanges(tgId);
+  const rows = [
+    ...upgrades.map(({ p, q }) => [
+      Markup.button.callback(tr(lc, "plans.upgrade", { product: `${p.icon} ${p.name}`, credit: fmtUsd(q.unusedUsd) }), `BUY_${p.key}`),
+    ]),
+    ...downgrades.map(({ p, q }) => [
+      Markup.button.callback(tr(lc, "plans.downgrade", { product: `${p.icon} ${p.name}`, days: q.days }), `DOWNGRADE_${p.key}`),
+    ]),
+  ];
+  rows.push([Markup.button.callback(tr(lc, "common.back"), "HOME_STATUS")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function kbBalance(lc) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(tr(lc, "balance.topup", { currency: TOPUP_CURRENCY }), "TOPUP")],
+    [Markup.button.callback(tr(lc, "common.back_menu"), "HOME")],
+  ]);
+}
+
+function kbTopup(topupId, lc) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(tr(lc, "invoice.paid_button"), `TOPUPPAID_${topupId}`)],
+    [Markup.button.callback(tr(lc, "common.back_menu"), "HOME")],
+  ]);
+}
+
+function kbInvoice(invoiceId, lc) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(tr(lc, "invoice.paid_button"), `PAID_${invoiceId}`)],
+    [Markup.button.callback(tr(lc, "invoice.cancel_button"), `CANCEL_${invoiceId}`)],
+    [Markup.button.callback(tr(lc, "common.back_menu"), "HOME")],
+  ]);
+}
+
+// 🌐 Language: every catalog in locales/ + back to automatic (Telegram's language)
+function kbLanguage(tgId) {
+  const u = S.getUser.get(String(tgId));
+  const lc = userLocale(tgId);
+  const rows = i18n.locales().map(l => [
+    Markup.button.callback(`${u?.locale && l.code === lc ? "✅ " : ""}${l.name}`, `LANG_${l.code}`),
+  ]);
+  rows.push([Markup.button.callback(`${u?.locale ? "" : "✅ "}${tr(lc, "language.auto")}`, "LANG_auto")]);
+  rows.push([Markup.button.callback(tr(lc, "common.back"), "HOME")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// ===================== TEXT BUILDERS =====================
+// (strings live in locales/*.json; lc = locale code)
+function textWelcome(lc) {
+  return tr(lc, "welcome", { days: REMINDER_DAYS_BEFORE });
+}
+
+function textPricing(lc) {
+  let t = `${tr(lc, "pricing.title")}\n\n`;
+  for (const p of listProducts({ activeOnly: true })) {
+    t += `${p.icon} ${p.name} (${p.key})\n`;
+    if (p.includes.length) t += `${tr(lc, "pricing.includes", { products: p.includes.map(k => getProduct(k)?.name || k).join(" + ") })}\n`;
+    t += `${tr(lc, "pricing.setup", { price: fmtUsd(p.setup_usd) })}\n`;
+    t += `${tr(lc, "pricing.monthly", { price: fmtUsd(p.monthly_usd) })}\n\n`;
+  }
+  if (PAID_ACCESS_SPECIAL.enabled && productValid("paid_access")) {
+    t += `${tr(lc, "pricing.special")}\n`;
+    t += `${tr(lc, "pricing.special_line", { price: fmtUsd(PAID_ACCESS_SPECIAL.pay_usd), months: PAID_ACCESS_SPECIAL.months })}\n\n`;
+  }
+  t += `${tr(lc, "pricing.pay", { currencies: ENABLED_CURRENCIES.join(" / "), minutes: INVOICE_EXPIRE_MINUTES })}\n`;
+  t += `${tr(lc, "pricing.reminder", { days: REMINDER_DAYS_BEFORE })}\n`;
+  t += `${tr(lc, "pricing.kick", { hours: KICK_GRACE_HOURS_AFTER_EXPIRY })}\n`;
+  return t;
+}
+
+function textPaymentConfirmed(product, newExpiry, lc) {
+  return tr(lc, "paid", { product: productLabel(product), days: daysLeft(newExpiry), reminderDays: REMINDER_DAYS_BEFORE });
+}
+
+// credit_ledger kinds with a balance.kind.<kind> label
+const CREDIT_KINDS = ["topup", "overpayment", "underpayment", "applied", "released", "to_days", "refund", "grant", "referral"];
+
+function textBalance(tgId) {
+  const lc = userLocale(tgId);
+  const balances = S.creditBalances.all(String(tgId));
+  let t = `${tr(lc, "balance.title")}\n\n`;
+  t += balances.length
+    ? balances.map(b => `${CURRENCIES[b.currency]?.icon || "•"} ${fmtUnits(b.units, b.currency)}`).join("\n")
+    : `${CURRENCIES[TOPUP_CURRENCY].icon} ${fmtAmount(0, TOPUP_CURRENCY)}`;
+
+  const recent = S.listCredit.all(String(tgId), 5);
+  if (recent.length) {
+    t += `\n\n${tr(lc, "balance.recent")}\n`;
+    t += recent.map(r => {
+      const kind = CREDIT_KINDS.includes(r.kind) ? tr(lc, `balance.kind.${r.kind}`) : r.kind;
+      return `${fmtDate(r.created_at)} ${r.units > 0 ? "+" : ""}${fmtUnits(r.units, r.currency)} · ${kind}${r.invoice_id ? ` #${r.invoice_id}` : ""}`;
+    }).join("\n");
+  }
+
+  return t + `\n\n${tr(lc, "balance.hint")}`;
+}
+
+function localeName(lc) {
+  return i18n.locales().find(l => l.code === lc)?.name || lc;
+}
+
+function textLanguage(tgId) {
+  const lc = userLocale(tgId);
+  const auto = !S.getUser.get(String(tgId))?.locale;
+  return tr(lc, "language.title", { name: localeName(lc) }) + (auto ? tr(lc, "language.auto_note") : "");
+}
+
+function textSupport(lc) {
+  return tr(lc, "support");
+}
+
+function formatStatus(tgId) {
+  const lc = userLocale(tgId);
+  const subs = S.getSubs.all(String(tgId));
+  const active = hasAnyActiveSub(tgId);
+
+  if (!subs.length) {
+    return `${tr(lc, "status.title")}\n\n${tr(lc, "status.none")}`;
+  }
+
+  let t = `${tr(lc, "status.title")}\n\n`;
+  for (const s of subs) {
+    const p = getProduct(s.product);
+    t += `${tr(lc, "status.days_left", { product: productLabel(s.product), days: daysLeft(s.expires_at) })}\n`;
+    if (onTrial(s)) t += `${tr(lc, "status.trial")}\n`;
+    if (p?.includes.length && s.expires_at > nowTs()) {
+      t += `${tr(lc, "status.includes", { products: p.includes.map(k => getProduct(k)?.name || k).join(" + ") })}\n`;
+    }
+  }
+  t += `\n${tr(lc, "status.access", { state: active ? "✅" : "❌" })}\n\n`;
+
+  const links = linkedChats()
+    .filter(c => chatAccess(tgId, c.chatId) && storedJoinLink(c.chatId))
+    .map(c => `${c.title || tr(lc, "status.group")}: ${storedJoinLink(c.chatId)}`);
+  if (links.length) t += `${tr(lc, "status.groups")}\n${links.join("\n")}\n\n`;
+
+  const credit = S.creditBalances.all(String(tgId)).filter(c => c.units > 0);
+  if (credit.length) t += `${tr(lc, "status.balance", { amounts: credit.map(c => fmtUnits(c.units, c.currency)).join(" · ") })}\n\n`;
+
+  t += tr(lc, "status.prepay");
+  return t;
+}
+
+// ===================== COMMANDS =====================
+// Keep usernames / languages fresh (admin lookups, cron DMs); ctx.state.lc = the user's UI locale
+bot.use((ctx, next) => {
+  runtime.lastUpdateAt = nowTs();
+  if (ctx.from && !ctx.from.is_bot && (ctx.from.username || ctx.from.language_code)) {
+    ensureUser(ctx.from.id, ctx.from.username, ctx.from.language_code);
+  }
+  if (ctx.from) ctx.state.lc = S.getUser.get(String(ctx.from.id)) ? userLocale(ctx.from.id) : i18n.resolve(ctx.from.language_code);
+  // Writing to the bot in private = not blocked (anymore); broadcasts reach them again
+  if (ctx.from && ctx.chat?.type === "private") S.clearBlocked.run(String(ctx.from.id));
+  // Any other button or command leaves the promo code prompt, so later text is not taken as a code
+  const leavesPromo = ctx.callbackQuery ? !/^PROMOG?_/.test(ctx.callbackQuery.data || "") : ctx.message?.text?.startsWith("/");
+  if (ctx.from && leavesPromo) S.clearPromoState.run(nowTs(), String(ctx.from.id));
+  return next();
+});
+
+bot.start(async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  // Deep links: /start ref_<code> | gift_<code>
+  const payload = ctx.startPayload || "";
+  if (payload.startsWith("ref_")) attributeReferral(ctx.from.id, payload.slice(4));
+  if (payload.startsWith("gift_")) return handleRedeem(ctx, payload.slice(5));
+
+  await ctx.reply(textWelcome(ctx.state.lc), kbHome(ctx.state.lc));
+});
+
+// /redeem <gift code>
+bot.command("redeem", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (ctx.chat.type !== "private") return ctx.reply(tr(ctx.state.lc, "gift.private"));
+
+  const code = (ctx.message.text || "").split(/\s+/)[1];
+  if (!code) return ctx.reply(tr(ctx.state.lc, "gift.usage"));
+  await handleRedeem(ctx, code);
+});
+
+// Staff: link group/channel to products
+// In a group: /setgroup <product...>   (no product = any active subscription)
+// For a channel, from private chat: /setgroup <product...> <@channel | chat id>
+function describeChatProducts(products, lc) {
+  return products.map(k => (k === "*" ? tr(lc, "access.any") : productLabel(k))).join(", ");
+}
+
+async function resolveTargetChat(ctx, args) {
+  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
+    return { chat: ctx.chat, args };
+  }
+  const ref = args[args.length - 1];
+  if (ctx.chat.type !== "private" || !/^(@\w{4,}|-100\d+)$/.test(ref || "")) return { chat: null, args };
+  try {
+    return { chat: await bot.telegram.getChat(ref), args: args.slice(0, -1) };
+  } catch (e) {
+    return { chat: null, args, error: "I can't access that chat. Add me as an admin first." };
+  }
+}
+
+bot.command("setgroup", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "chats")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const { chat, args, error } = await resolveTargetChat(ctx, ctx.message.text.trim().split(/\s+/).slice(1));
+  if (!chat) {
+    return ctx.reply(error || (
+      "Run /setgroup <product> inside your group (not in private chat).\n" +
+      "For a channel, send here: /setgroup <product> @channel"
+    ));
+  }
+
+  const products = args.length ? args : ["*"];
+  const unknown = products.filter(k => k !== "*" && !getProduct(k));
+  if (unknown.length) return ctx.reply(`Unknown product: ${unknown.join(", ")}\nSee /product list.`);
+
+  const t = nowTs();
+  for (const k of products) S.linkChat.run(String(chat.id), k, chat.title || null, t);
+  const link = await ensureJoinLink(String(chat.id));
+
+  return ctx.reply(
+    `✅ Chat linked successfully.\nChat ID saved: ${chat.id}\n` +
+    `Access via: ${describeChatProducts(chatGrantProducts(chat.id))}\n\n` +
+    (link
+      ? `Join-request link: ${link}\nShare only this link — I approve members with access and decline everyone else.`
+      : `⚠️ I couldn't create a join-request link. Make me an admin with "Invite users" permission, then run /setgroup again.`)
+  );
+});
+
+// Staff: unlink (all products, or just the ones given)
+bot.command("unsetgroup", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "chats")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const { chat, args } = await resolveTargetChat(ctx, ctx.message.text.trim().split(/\s+/).slice(1));
+  if (!chat) return ctx.reply("Run /unsetgroup [product] inside the linked group, or /unsetgroup [product] @channel here.");
+
+  if (args.length) args.forEach(k => S.unlinkChatProduct.run(String(chat.id), k));
+  else S.unlinkChat.run(String(chat.id));
+
+  const left = chatGrantProducts(chat.id);
+  if (!left.length) db.prepare(`DELETE FROM settings WHERE k=?`).run(`join_link_${chat.id}`);
+  return ctx.reply(left.length ? `✅ Updated. Access via: ${describeChatProducts(left)}` : "✅ Chat unlinked.");
+});
+
+// Staff: list linked chats
+bot.command("groups", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "view")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const chats = linkedChats();
+  if (!chats.length) return ctx.reply("No linked chats. Run /setgroup <product> inside a group.");
+  return ctx.reply(
+    `🔗 Linked chats\n\n` +
+    chats.map(c => `${c.title || c.chatId} (${c.chatId})\n   ${describeChatProducts(c.products)}`).join("\n\n")
+  );
+});
+
+// Staff: product catalog
+// /product list | add <key> <icon> <setup_usd> <monthly_usd> <durations> <name...> | edit <key> <field> <value...> | disable <key> | enable <key>
+function parseDurations(v) {
+  const list = csvList(v).map(Number);
+  if (!list.length || list.some(m => !Number.isInteger(m) || m <= 0 || m > MAX_MONTHS_PER_PURCHASE)) return null;
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+// Bundles are one level deep (access, upgrades and trials only look at a bundle's direct includes):
+// a bundle cannot include another bundle, and a product inside a bundle cannot become one
+function parseIncludes(v, selfKey) {
+  if (v === "-" || v === "none") return [];
+  const list = csvList(v);
+  if (list.some(k => k === selfKey || !getProduct(k) || getProduct(k).includes.length)) return null;
+  if (productsGranting(selfKey).length > 1) return null;
+  return list;
+}
+
+function formatProductLine(p) {
+  return (
+    `${p.active ? "✅" : "⛔"} ${p.icon} ${p.name} (${p.key})\n` +
+    `   setup ${fmtUsd(p.setup_usd)} · monthly ${fmtUsd(p.monthly_usd)} · months ${p.durations.join(",")}` +
+    (p.includes.length ? ` · includes ${p.includes.join(",")}` : "") +
+    (p.trial_days ? ` · trial ${p.trial_days}d` : "") +
+    (p.reminders ? `\n   reminders ${p.reminders}` : "")
+  );
+}
+
+const PRODUCT_USAGE =
+  `Usage:\n` +
+  `/product list\n` +
+  `/product add <key> <icon> <setup_usd> <monthly_usd> <durations> <name...>\n` +
+  `   e.g. /product add vip 👑 50 25 1,3,12 VIP Room\n` +
+  `/product edit <key> <name|icon|setup|monthly|durations|includes|reminders|trial|sort> <value...>\n` +
+  `   includes: comma-separated keys, or - for none\n` +
+  `   trial: free trial days (0 = none, max ${TRIAL_MAX_DAYS})\n` +
+  `   reminders: e.g. -7,-3,-1,grace,+3:COMEBACK,+14 (days before / grace / days after + promo), or - for the default (${DEFAULT_REMINDER_SCHEDULE})\n` +
+  `/product disable <key>\n` +
+  `/product enable <key>`;
+
+bot.command("product", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "view")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, sub, key, ...rest] = ctx.message.text.trim().split(/\s+/);
+  const t = nowTs();
+
+  if (!sub || sub === "list") {
+    const all = listProducts();
+    if (!all.length) return ctx.reply("No products yet.\n\n" + PRODUCT_USAGE);
+    return ctx.reply(`🗂 Products\n\n${all.map(formatProductLine).join("\n\n")}`);
+  }
+  if (!can(ctx, "catalog")) return ctx.reply(NOT_ALLOWED);
+
+  if (sub === "add") {
+    const [icon, setupStr, monthlyStr, durStr, ...nameParts] = rest;
+    const setup = Number(setupStr);
+    const monthly = Number(monthlyStr);
+    const durations = parseDurations(durStr);
+    const name = nameParts.join(" ");
+
+    if (!key || !/^[a-z0-9_]{2,24}$/.test(key)) return ctx.reply("Key must be 2-24 chars: a-z, 0-9, _\n\n" + PRODUCT_USAGE);
+    if (getProduct(key)) return ctx.reply(`Product "${key}" already exists. Use /product edit.`);
+    if (!icon || !name || !(setup >= 0) || !(monthly > 0) || !durations) return ctx.reply(PRODUCT_USAGE);
+
+    S.insertProduct.run(key, name, icon, setup, monthly, durations.join(","), null, listProducts().length, t, t);
+    return ctx.reply(`✅ Product added:\n\n${formatProductLine(getProduct(key))}`);
+  }
+
+  const p = key ? getProduct(key) : null;
+  if (!p) return ctx.reply(`Product not found.\n\n${PRODUCT_USAGE}`);
+
+  if (sub === "disable" || sub === "enable") {
+    updateProductField.active.run(sub === "enable" ? 1 : 0, t, key);
+    return ctx.reply(`✅ ${formatProductLine(getProduct(key))}`);
+  }
+
+  if (sub === "edit") {
+    const [field, ...valueParts] = rest;
+    const raw = valueParts.join(" ");
+    if (!PRODUCT_FIELDS[field] || field === "active" || !raw) return ctx.reply(PRODUCT_USAGE);
+
+    let value = raw;
+    if (field === "setup" || field === "monthly" || field === "sort") {
+      value = Number(raw);
+      if (!Number.isFinite(value) || value < 0 || (field === "monthly" && value === 0)) return ctx.reply("Invalid number.");
+    } else if (field === "trial") {
+      value = Number(raw);
+      if (!Number.isInteger(value) || value < 0 || value > TRIAL_MAX_DAYS) return ctx.reply(`Trial must be 0-${TRIAL_MAX_DAYS} days.`);
+    } else if (field === "durations") {
+      const d = parseDurations(raw);
+      if (!d) return ctx.reply(`Durations must be comma-separated months (1-${MAX_MONTHS_PER_PURCHASE}).`);
+      value = d.join(",");
+    } else if (field === "includes") {
+      const inc = parseIncludes(raw, key);
+      if (!inc) return ctx.reply("Includes must be existing products other than this one. Bundles are one level deep: no bundle inside a bundle, and a product in a bundle cannot include others.");
+      value = inc.length ? inc.join(",") : null;
+    } else if (field === "reminders") {
+      const stages = raw === "-" ? [] : parseReminderSchedule(raw);
+      if (!stages) return ctx.reply("Reminders: comma-separated -N (days before), grace, +N or +N:PROMO (days after).");
+      const missing = stages.filter(st => st.promo && !S.getPromo.get(st.promo)).map(st => st.promo);
+      if (missing.length) return ctx.reply(`Unknown promo code(s): ${missing.join(", ")}. Create them with /promo first.`);
+      value = stages.length ? formatReminderSchedule(stages) : null;
+    }
+
+    updateProductField[field].run(value, t, key);
+    return ctx.reply(`✅ Updated:\n\n${formatProductLine(getProduct(key))}`);
+  }
+
+  return ctx.reply(PRODUCT_USAGE);
+});
+
+// Staff: promo codes
+// /promo create <CODE> <percent|fixed|setup|days> <value> [product=<key>] [months=<n>] [uses=<n>] [peruser=<n>] [from=YYYY-MM-DD] [until=YYYY-MM-DD]
+// /promo list | /promo revoke <CODE>
+const PROMO_USAGE =
+  `Usage:\n` +
+  `/promo create <CODE> <percent|fixed|setup|days> <value> [options]\n` +
+  `   options: product=<key> months=<n> uses=<n> peruser=<n> from=YYYY-MM-DD until=YYYY-MM-DD\n` +
+  `   e.g. /promo create SPRING20 percent 20 uses=100 peruser=1 until=2026-06-01\n` +
+  `/promo list\n` +
+  `/promo revoke <CODE>`;
+
+function parseDateTs(v, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v || "")) return null;
+  const ms = Date.parse(`${v}T${endOfDay ? "23:59:59" : "00:00:00"}Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+function fmtDate(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+function formatPromoLine(pr) {
+  const limits = [
+    pr.product ? `product ${pr.product}` : null,
+    pr.months ? `${pr.months} mo` : null,
+    `uses ${pr.uses}${pr.max_uses != null ? `/${pr.max_uses}` : ""}`,
+    pr.per_user != null ? `${pr.per_user}/user` : null,
+    pr.starts_at ? `from ${fmtDate(pr.starts_at)}` : null,
+    pr.ends_at ? `until ${fmtDate(pr.ends_at)}` : null,
+  ].filter(Boolean);
+  return `${pr.revoked_at ? "⛔" : "✅"} ${pr.code} — ${describePromo(pr)}\n   ${limits.join(" · ")}`;
+}
+
+bot.command("promo", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "view")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, sub, rawCode, ...rest] = ctx.message.text.trim().split(/\s+/);
+  const code = normalizeCode(rawCode);
+
+  if (!sub || sub === "list") {
+    const all = S.listPromos.all();
+    if (!all.length) return ctx.reply("No promo codes yet.\n\n" + PROMO_USAGE);
+    return ctx.reply(`🎟 Promo codes\n\n${all.slice(0, 50).map(formatPromoLine).join("\n\n")}`);
+  }
+  if (!can(ctx, "catalog")) return ctx.reply(NOT_ALLOWED);
+
+  if (sub === "revoke") {
+    const r = S.revokePromo.run(nowTs(), code);
+    return ctx.reply(r.changes ? `✅ Code ${code} revoked.` : "Code not found or already revoked.");
+  }
+
+  if (sub !== "create") return ctx.reply(PROMO_USAGE);
+
+  const [kindArg, valueStr, ...opts] = rest;
+  const kind = PROMO_KINDS[kindArg];
+  const value = kind === "setup_waiver" ? 0 : Number(valueStr);
+  const o = Object.fromEntries((kind === "setup_waiver" ? [valueStr, ...opts] : opts)
+    .filter(Boolean).map(x => x.split("=")).filter(kv => kv.length === 2));
+
+  if (!promoCodeValid(code)) return ctx.reply("Code must be 3-20 chars: A-Z, 0-9, -\n\n" + PROMO_USAGE);
+  if (S.getPromo.get(code)) return ctx.reply(`Code ${code} already exists.`);
+  if (!kind) return ctx.reply(PROMO_USAGE);
+  if (kind !== "setup_waiver" && !(value > 0)) return ctx.reply("Value must be a positive number.");
+  if (kind === "percent" && value > 100) return ctx.reply("Percent must be 1-100.");
+  if (o.product && !getProduct(o.product)) return ctx.reply(`Unknown product "${o.product}".`);
+
+  const intOpt = (k) => (o[k] != null ? Math.floor(Number(o[k])) : null);
+  const promo = {
+    code, kind, value,
+    product: o.product || null,
+    months: intOpt("months"),
+    max_uses: intOpt("uses"),
+    per_user: intOpt("peruser"),
+    starts_at: o.from ? parseDateTs(o.from, false) : null,
+    ends_at: o.until ? parseDateTs(o.until, true) : null,
+    created_by: String(ctx.from.id),
+    created_at: nowTs(),
+  };
+  if ([promo.months, promo.max_uses, promo.per_user].some(v => v != null && !(v > 0))) {
+    return ctx.reply("months / uses / peruser must be positive numbers.");
+  }
+  if ((o.from && !promo.starts_at) || (o.until && !promo.ends_at)) return ctx.reply("Dates must be YYYY-MM-DD.");
+
+  S.createPromo.run(promo);
+  return ctx.reply(`✅ Promo code created:\n\n${formatPromoLine({ ...promo, uses: 0 })}`);
+});
+
+// Staff: referral payout ledger
+// /payouts | /payouts paid <rewardId...> <txSig> | /payouts export
+function toCsv(rows, columns) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const str = String(v);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+bot.command("payouts", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "view")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, sub, ...args] = ctx.message.text.trim().split(/\s+/);
+
+  if (sub === "export") {
+    const cols = ["id", "referrer_id", "referred_id", "invoice_id", "kind", "days", "product", "amount_sol", "status", "created_at", "paid_at", "payout_tx"];
+    const csv = toCsv(S.listReferralRewards.all(), cols);
+    return ctx.replyWithDocument({ source: Buffer.from(csv), filename: `referral-payouts-${fmtDate(nowTs())}.csv` });
+  }
+
+  if (sub === "paid") {
+    if (!can(ctx, "payouts")) return ctx.reply(NOT_ALLOWED);
+    const txSig = args.pop();
+    const ids = args.map(Number).filter(Number.isInteger);
+    if (!ids.length || !txSig) return ctx.reply("Usage: /payouts paid <rewardId...> <txSig>");
+    const t = nowTs();
+    const done = ids.filter(id => S.markRewardPaid.run(t, txSig, id).changes === 1);
+    return ctx.reply(`✅ Marked paid: ${done.length ? done.map(id => `#${id}`).join(", ") : "nothing (already paid or not found)"}`);
+  }
+
+  const owed = S.listOwedByReferrer.all();
+  if (!owed.length) return ctx.reply("No referral commissions owed.\n\n/payouts export — full ledger as CSV");
+  return ctx.reply(
+    `💸 Owed referral commissions\n\n` +
+    owed.map(o => `${o.referrer_id}: ${Number(o.sol.toFixed(6))} SOL (${o.n}) — rewards ${o.ids.split(",").map(id => `#${id}`).join(" ")}`).join("\n") +
+    `\n\nAfter paying: /payouts paid <rewardId...> <txSig>\n/payouts export — full ledger as CSV`
+  );
+});
+
+// Owner: broadcasts
+// /broadcast -> message (text or photo + caption) -> optional URL buttons -> audience -> preview -> send
+// Draft lives in user_state (broadcast_message | broadcast_buttons | broadcast_audience | broadcast_days | broadcast_confirm)
+async function sendBroadcastMessage(tgId, m) {
+  const extra = m.buttons?.length
+    ? Markup.inlineKeyboard(m.buttons.map(row => row.map(b => Markup.button.url(b.text, b.url))))
+    : {};
+  if (m.photo) {
+    return bot.telegram.sendPhoto(tgId, m.photo, { caption: m.text || undefined, caption_entities: m.entities || undefined, ...extra });
+  }
+  return bot.telegram.sendMessage(tgId, m.text, { entities: m.entities || undefined, ...extra });
+}
+
+async function reportBroadcast(b, c) {
+  if (!b.created_by) return;
+  await bot.telegram.sendMessage(b.created_by, `📣 Broadcast #${b.id} finished\n\n${textBroadcastCounts(b, c)}`);
+}
+
+function describeAudience(audience) {
+  const a = parseAudience(audience);
+  if (!a) return audience;
+  if (a.kind === "all") return "All users";
+  if (a.kind === "product") return `Active holders of ${productLabel(a.product)}`;
+  if (a.kind === "expired") return `Expired within the last ${a.days} day(s)`;
+  return "Never purchased";
+}
+
+function textBroadcastCounts(b, c) {
+  return (
+    `Audience: ${describeAudience(b.audience)} (${b.total})\n` +
+    `Delivered: ${c.sent} · Failed: ${c.failed} · Blocked the bot: ${c.blocked}` +
+    (c.pending ? ` · Pending: ${c.pending}` : "")
+  );
+}
+
+// "Label | https://link", one button per line
+function parseBroadcastButtons(text) {
+  const rows = [];
+  for (const line of text.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^(.{1,64}?)\s*\|\s*(https?:\/\/\S+)$/);
+    if (!m) return null;
+    rows.push([{ text: m[1], url: m[2] }]);
+  }
+  return rows.length ? rows : null;
+}
+
+function askBroadcast(ctx, state, draft, prompt, extraRows = []) {
+  S.setDraftState.run(String(ctx.from.id), state, JSON.stringify(draft), nowTs());
+  return ctx.reply(prompt, Markup.inlineKeyboard([...extraRows, [Markup.button.callback("✖️ Cancel", "BC:cancel")]]));
+}
+
+function kbBroadcastAudience() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("👥 All users", "BC:aud:all")],
+    [Markup.button.callback("📦 Active holders of a product", "BC:aud:product")],
+    [Markup.button.callback("⌛ Expired within N days", "BC:aud:expired")],
+    [Markup.button.callback("🆕 Never purchased", "BC:aud:never")],
+    [Markup.button.callback("✖️ Cancel", "BC:cancel")],
+  ]);
+}
+
+function kbBroadcastConfirm(n) {
+  return Markup.inlineKeyboard([
+    ...(n ? [[Markup.button.callback(`✅ Send to ${n} user(s)`, "BC:send")]] : []),
+    [Markup.button.callback("🎯 Other audience", "BC:audience"), Markup.button.callback("✖️ Cancel", "BC:cancel")],
+  ]);
+}
+
+// Audience picked -> the message exactly as users will get it + the count
+async function previewBroadcast(ctx, draft) {
+  const n = broadcasts.audienceSize(draft.audience);
+  S.setDraftState.run(String(ctx.from.id), "broadcast_confirm", JSON.stringify(draft), nowTs());
+  await ctx.reply("👀 Preview:");
+  try {
+    await sendBroadcastMessage(ctx.from.id, draft);
+  } catch (e) {
+    S.setState.run(String(ctx.from.id), "none", null, nowTs());
+    return ctx.reply(`❌ Telegram rejected the message: ${e.description || e.message}\n\nStart again with /broadcast.`);
+  }
+  await ctx.reply(`Audience: ${describeAudience(draft.audience)} — ${n} user(s)`, kbBroadcastConfirm(n));
+}
+
+bot.command("broadcast", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "broadcast")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (ctx.chat.type !== "private") return ctx.reply("Use /broadcast in a private chat with the bot.");
+
+  await askBroadcast(ctx, "broadcast_message", {},
+    "📣 New broadcast\n\nSend the message: text, or a photo with a caption (formatting is kept).",
+    [[Markup.button.callback("📋 Recent broadcasts", "BC:list")]]
+  );
+});
+
+// Photos only matter while composing a broadcast
+bot.on("photo", async (ctx, next) => {
+  const st = S.getState.get(String(ctx.from.id));
+  if (st?.state !== "broadcast_message") return next();
+  await handleBroadcastInput(ctx, st);
+});
+
+async function handleBroadcastInput(ctx, st) {
+  const actor = String(ctx.from.id);
+  if (!can(ctx, "broadcast")) return S.setState.run(actor, "none", null, nowTs());
+  const draft = JSON.parse(st.draft || "{}");
+  const msg = ctx.message;
+
+  if (st.state === "broadcast_message") {
+    const photo = msg.photo?.length ? msg.photo[msg.photo.length - 1].file_id : null;
+    const text = photo ? msg.caption || "" : msg.text || "";
+    if (!photo && !text.trim()) return askBroadcast(ctx, "broadcast_message", {}, "Send text or a photo.");
+    if (photo && text.length > 1024) return askBroadcast(ctx, "broadcast_message", {}, "Photo captions are limited to 1024 characters. Send it again.");
+    const next = { text, entities: (photo ? msg.caption_entities : msg.entities) || null, photo };
+    return askBroadcast(ctx, "broadcast_buttons", next,
+      "🔘 Add link buttons? Send one per line:\nLabel | https://link\n\nor tap Skip.",
+      [[Markup.button.callback("⏭ Skip", "BC:skip")]]
+    );
+  }
+
+  if (st.state === "broadcast_buttons") {
+    const buttons = parseBroadcastButtons(msg.text || "");
+    if (!buttons) {
+      return askBroadcast(ctx, "broadcast_buttons", draft, "Could not read that. One button per line:\nLabel | https://link",
+        [[Markup.button.callback("⏭ Skip", "BC:skip")]]);
+    }
+    S.setDraftState.run(actor, "broadcast_audience", JSON.stringify({ ...draft, buttons }), nowTs());
+    return ctx.reply("🎯 Who should get it?", kbBroadcastAudience());
+  }
+
+  if (st.state === "broadcast_days") {
+    const days = Math.floor(Number((msg.text || "").trim()));
+    if (!(days > 0)) return askBroadcast(ctx, "broadcast_days", draft, "Send a positive number of days.");
+    return previewBroadcast(ctx, { ...draft, audience: `expired:${days}` });
+  }
+
+  // Waiting for a button tap: say so instead of ignoring the text
+  if (st.state === "broadcast_audience") {
+    return ctx.reply("Pick the audience with the buttons below (or cancel).", kbBroadcastAudience());
+  }
+
+  if (st.state === "broadcast_confirm") {
+    const n = broadcasts.audienceSize(draft.audience);
+    return ctx.reply(
+      "The message is ready. Send it, pick another audience or cancel.\n\n" +
+      `Audience: ${describeAudience(draft.audience)} — ${n} user(s)`,
+      kbBroadcastConfirm(n)
+    );
+  }
+}
+
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("BC:")) return next();
+  if (!can(ctx, "broadcast")) return ctx.answerCbQuery("Not allowed.");
+  await ctx.answerCbQuery();
+
+  const actor = String(ctx.from.id);
+  const [, action, ...args] = data.split(":");
+  const st = S.getState.get(actor);
+  const draft = st?.state?.startsWith("broadcast_") ? JSON.parse(st.draft || "{}") : null;
+
+  if (action === "cancel") {
+    S.setState.run(actor, "none", null, nowTs());
+    return ctx.editMessageText("Broadcast discarded.");
+  }
+
+  if (action === "list") {
+    S.setState.run(actor, "none", null, nowTs());
+    const rows = broadcasts.recent(10);
+    if (!rows.length) return ctx.editMessageText("No broadcasts yet.");
+    const sending = rows.filter(b => b.status === "sending");
+    return ctx.editMessageText(
+      `📋 Recent broadcasts\n\n` +
+      rows.map(b => `#${b.id} · ${b.status} · ${fmtDateTime(b.created_at)}\n${textBroadcastCounts(b, broadcasts.counts(b.id))}`).join("\n\n"),
+      Markup.inlineKeyboard(sending.map(b => [Markup.button.callback(`⏹ Stop #${b.id}`, `BC:stop:${b.id}`)]))
+    );
+  }
+
+  if (action === "stop") {
+    const id = Number(args[0]);
+    if (!broadcasts.cancel(id)) return ctx.reply(`Broadcast #${id} is not sending.`);
+    audit(actor, "broadcast.cancel", null, { broadcast_id: id });
+    return ctx.reply(`⏹ Broadcast #${id} stopped.\n\n${textBroadcastCounts(broadcasts.get(id), broadcasts.counts(id))}`);
+  }
+
+  if (!draft) return ctx.editMessageText("This broadcast draft is gone. Start again with /broadcast.");
+
+  if (action === "skip" && st.state === "broadcast_buttons") {
+    S.setDraftState.run(actor, "broadcast_audience", JSON.stringify(draft), nowTs());
+    return ctx.editMessageText("🎯 Who should get it?", kbBroadcastAudience());
+  }
+
+  if (action === "audience") {
+    S.setDraftState.run(actor, "broadcast_audience", JSON.stringify(draft), nowTs());
+    return ctx.editMessageText("🎯 Who should get it?", kbBroadcastAudience());
+  }
+
+  if (action === "aud") {
+    const [kind, key] = args;
+    if (kind === "product" && !key) {
+      return ctx.editMessageText("📦 Which product?", Markup.inlineKeyboard([
+        ...listProducts().map(p => [Markup.button.callback(`${p.icon} ${p.name}`, `BC:aud:product:${p.key}`)]),
+        [Markup.button.callback("⬅️ Back", "BC:audience")],
+      ]));
+    }
+    if (kind === "expired") return askBroadcast(ctx, "broadcast_days", draft, "⌛ Expired within how many days? Send a number.");
+    const audience = kind === "product" ? `product:${key}` : kind;
+    if (!parseAudience(audience) || (kind === "product" && !getProduct(key))) return;
+    return previewBroadcast(ctx, { ...draft, audience });
+  }
+
+  if (action === "send" && st.state === "broadcast_confirm") {
+    S.setState.run(actor, "none", null, nowTs());
+    const r = broadcasts.create(draft, draft.audience, actor);
+    audit(actor, "broadcast.create", null, { broadcast_id: r.id, audience: draft.audience, total: r.total });
+    return ctx.editMessageText(
+      `📣 Broadcast #${r.id} queued for ${r.total} user(s) (${describeAudience(draft.audience)}).\n` +
+      `Sending at up to ${BROADCAST_RATE_PER_SECOND} messages / second; you'll get a report when it is done.\n\n/broadcast → Recent broadcasts for progress.`
+    );
+  }
+});
+
+// Staff: outbound webhook endpoints
+// /webhook list | add <url> [event,event,...] | remove <id> | log | retry <deliveryId>
+const WEBHOOK_USAGE =
+  "Usage:\n" +
+  "/webhook list\n" +
+  "/webhook add <https://url> [event,event,...]   (default: all events)\n" +
+  "/webhook remove <id>\n" +
+  "/webhook log — last 15 deliveries\n" +
+  "/webhook retry <deliveryId> — resend a failed delivery\n\n" +
+  `Events: ${WEBHOOK_EVENTS.join(", ")}`;
+
+bot.command("webhook", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "webhooks")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, sub, arg, events] = ctx.message.text.trim().split(/\s+/);
+  const actor = String(ctx.from.id);
+
+  if (!sub || sub === "list") {
+    const all = webhooks.listEndpoints();
+    if (!all.length) return ctx.reply("No webhook endpoints.\n\n" + WEBHOOK_USAGE);
+    return ctx.reply(`🪝 Webhooks\n\n${all.map(e => `#${e.id} ${e.url}\n   events: ${e.events}`).join("\n\n")}`);
+  }
+
+  if (sub === "add") {
+    let url;
+    try {
+      url = new URL(arg || "");
+    } catch (_) {}
+    if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) return ctx.reply(WEBHOOK_USAGE);
+
+    const list = events ? csvList(events) : ["*"];
+    const unknown = list.filter(e => e !== "*" && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return ctx.reply(`Unknown event: ${unknown.join(", ")}\n\n${WEBHOOK_USAGE}`);
+
+    const { id, secret } = webhooks.addEndpoint(url.href, list.join(","), actor);
+    audit(actor, "webhook.add", null, { id, url: url.href, events: list.join(",") });
+    return ctx.reply(
+      `✅ Webhook #${id} added.\n\n` +
+      `Signing secret (shown once):\n${secret}\n\n` +
+      `Verify X-Accessra-Signature: t=<ts>,v1=HMAC-SHA256(secret, "<ts>.<raw body>")`
+    );
+  }
+
+  if (sub === "remove") {
+    const ok = webhooks.removeEndpoint(Number(arg));
+    if (ok) audit(actor, "webhook.remove", null, { id: Number(arg) });
+    return ctx.reply(ok ? `✅ Webhook #${arg} removed.` : "Webhook not found.");
+  }
+
+  if (sub === "log") {
+    const rows = webhooks.recentDeliveries(15);
+    if (!rows.length) return ctx.reply("No deliveries yet.");
+    return ctx.reply(
+      `🪝 Recent deliveries\n\n` +
+      rows.map(d => `#${d.id} → webhook #${d.endpoint_id} ${d.event} · ${d.status} · ${d.attempts} attempt(s)` +
+        (d.last_error ? ` · ${d.last_error}` : "")).join("\n")
+    );
+  }
+
+  if (sub === "retry") {
+    const ok = webhooks.retry(Number(arg));
+    return ctx.reply(ok ? `✅ Delivery #${arg} queued again.` : "Only failed deliveries can be retried.");
+  }
+
+  return ctx.reply(WEBHOOK_USAGE);
+});
+
+// Staff: analytics
+// /stats [days] | /stats <YYYY-MM-DD> [YYYY-MM-DD]
+const STATS_DAYS_SHOWN = 14; // per-day lines in chat (Telegram messages are capped at 4096 chars)
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+function textStats(r) {
+  const rev = r.revenue;
+  const days = rev.byDay.slice(-STATS_DAYS_SHOWN);
+  const inv = r.invoices;
+  const sub = r.subscribers;
+
+  let t = `📊 Stats ${fmtDate(r.from)} → ${fmtDate(r.to)}\n\n`;
+  t += `💰 Revenue: ${fmtUsd(rev.usd)} (${rev.invoices} paid invoices)\n`;
+  for (const p of rev.byProduct) t += `• ${productLabel(p.product)}: ${fmtUsd(p.usd)} (${p.invoices})\n`;
+  if (rev.byCurrency.length) {
+    t += `Received: ${rev.byCurrency.map(c => `${fmtAmount(Number(c.amount.toFixed(6)), c.currency)} (${c.invoices})`).join(" · ")}\n`;
+  }
+  if (rev.byMonth.length > 1) t += `By month: ${rev.byMonth.map(m => `${m.period} ${fmtUsd(m.usd)}`).join(" · ")}\n`;
+  if (days.length) {
+    t += `By day${rev.byDay.length > days.length ? ` (last ${days.length} with sales)` : ""}:\n`;
+    t += days.map(d => `  ${d.period}  ${fmtUsd(d.usd)} (${d.invoices})`).join("\n") + "\n";
+  }
+
+  t += `\n👥 Customers: ${r.customers.paying} paying — ${r.customers.new} new / ${r.customers.renewing} renewing\n`;
+  t += `📈 Subscribers: ${sub.active_now} active now (${sub.active_at_end} at period end)\n`;
+  t += `📉 Churn: ${sub.churned} of ${sub.active_at_start} (${pct(sub.churnRate)})\n`;
+
+  t += `\n🧾 Invoices: ${inv.created} created → ${inv.paid} paid · ${inv.expired} expired · ${inv.cancelled} cancelled`;
+  if (inv.pending) t += ` · ${inv.pending} pending`;
+  if (inv.refunded) t += ` · ${inv.refunded} refunded`;
+  t += `\nConversion: ${pct(inv.conversion)}`;
+  return t;
+}
+
+// [] -> last defaultDays | [N] / [Nd] -> last N days | [from] [to] as YYYY-MM-DD | [all]
+function parseDateRange(args, defaultDays) {
+  const t = nowTs();
+  if (!args.length) return { from: t - secDays(defaultDays), to: t };
+  if (args[0] === "all" && args.length === 1) return { from: 0, to: t };
+  if (/^\d+d?$/.test(args[0]) && args.length === 1) {
+    const n = parseInt(args[0], 10);
+    return n > 0 && n <= 3660 ? { from: t - secDays(n), to: t } : null;
+  }
+  const from = parseDateTs(args[0], false);
+  const to = args[1] ? parseDateTs(args[1], true) : t;
+  return from != null && to != null && from <= to ? { from, to } : null;
+}
+
+bot.command("stats", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "stats")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const range = parseDateRange(ctx.message.text.trim().split(/\s+/).slice(1), STATS_DEFAULT_DAYS);
+  if (!range) return ctx.reply(`Usage: /stats [days] | /stats <YYYY-MM-DD> [YYYY-MM-DD]\nDefault: last ${STATS_DEFAULT_DAYS} days.`);
+  return ctx.reply(textStats(buildReport(db, range)));
+});
+
+// Staff: data export as a Telegram document
+// /export <invoices|payments|subscriptions> [csv|json] [days | all | YYYY-MM-DD [YYYY-MM-DD]]
+const EXPORTS = {
+  // created in the range
+  invoices: {
+    sql: `SELECT * FROM invoices WHERE created_at BETWEEN @from AND @to ORDER BY id`,
+    columns: ["id", "tg_id", "product", "months", "currency", "amount", "price_usd", "rate_usd", "promo_code", "discount_usd",
+      "bonus_days", "credit_units", "received_units", "gift", "status", "created_at", "paid_at", "refunded_at", "tx_sig", "reference", "admin_note"],
+  },
+  // received in the range, with the invoice it paid (or the top-up it funded)
+  payments: {
+    sql: `
+      SELECT p.*, COALESCE(i.tg_id, t.tg_id) AS tg_id, i.product, i.months, i.amount AS invoice_amount, i.price_usd
+      FROM payments p LEFT JOIN invoices i ON i.id = p.invoice_id LEFT JOIN topups t ON t.id = p.topup_id
+      WHERE p.created_at BETWEEN @from AND @to ORDER BY p.created_at`,
+    columns: ["tx_sig", "invoice_id", "topup_id", "tg_id", "product", "months", "currency", "invoice_amount", "price_usd", "payer",
+      "lamports", "token_amount", "slot", "block_time", "created_at"],
+  },
+  // still running at some point in the range (subscriptions only keep their latest expiry)
+  subscriptions: {
+    sql: `SELECT * FROM subscriptions WHERE expires_at >= @from ORDER BY expires_at`,
+    columns: ["tg_id", "product", "setup_paid", "expires_at", "last_reminder_at", "last_expired_notice_at"],
+  },
+};
+const EXPORT_USAGE =
+  "Usage: /export <invoices|payments|subscriptions> [csv|json] [days | all | YYYY-MM-DD [YYYY-MM-DD]]\n" +
+  `Default: csv, last ${STATS_DEFAULT_DAYS} days.`;
+
+bot.command("export", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "export")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, what, ...rest] = ctx.message.text.trim().split(/\s+/);
+  const spec = EXPORTS[what];
+  const format = rest[0] === "csv" || rest[0] === "json" ? rest.shift() : "csv";
+  const range = parseDateRange(rest, STATS_DEFAULT_DAYS);
+  if (!spec || !range) return ctx.reply(EXPORT_USAGE);
+
+  const rows = db.prepare(spec.sql).all(range);
+  const body = format === "json" ? JSON.stringify(rows, null, 2) : toCsv(rows, spec.columns);
+  const name = `${what}-${range.from ? fmtDate(range.from) : "all"}-${fmtDate(range.to)}.${format}`;
+  audit(ctx.from.id, "export", null, { what, format, from: range.from, to: range.to, rows: rows.length });
+  return ctx.replyWithDocument({ source: Buffer.from(body), filename: name }, { caption: `${rows.length} ${what}` });
+});
+
+// Staff: balance grants / corrections in TOPUP_CURRENCY (audited)
+// /credit <id|@user>                  balance + recent movements
+// /credit <id|@user> <±amount> [reason]
+bot.command("credit", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "credit")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, who, amountStr, ...reason] = ctx.message.text.trim().split(/\s+/);
+  const u = findUser(who);
+  if (!u) return ctx.reply(`Usage: /credit <id|@user> [<±amount ${TOPUP_CURRENCY}> [reason]]`);
+  if (amountStr == null) return ctx.reply(`User ${u.tg_id}\n\n${textBalance(u.tg_id)}`);
+
+  const amount = Number(amountStr);
+  const units = Number.isFinite(amount) ? toUnits(amount, TOPUP_CURRENCY) : 0;
+  if (!units) return ctx.reply(`Amount must be a non-zero number of ${TOPUP_CURRENCY} (e.g. 0.5 or -0.1).`);
+  if (units < 0 && creditBalance(u.tg_id, TOPUP_CURRENCY) + units < 0) return ctx.reply("That would make the balance negative.");
+
+  const note = reason.join(" ") || null;
+  addCredit(u.tg_id, TOPUP_CURRENCY, units, "grant", null, note, ctx.from.id);
+  audit(ctx.from.id, "credit.grant", u.tg_id, { currency: TOPUP_CURRENCY, units, reason: note });
+
+  const balance = fmtUnits(creditBalance(u.tg_id, TOPUP_CURRENCY), TOPUP_CURRENCY);
+  if (units > 0) {
+    try {
+      await bot.telegram.sendMessage(u.tg_id, tr(userLocale(u.tg_id), note ? "balance.granted_note" : "balance.granted", { amount: fmtUnits(units, TOPUP_CURRENCY), note, balance }));
+    } catch (_) {}
+  }
+  return ctx.reply(`✅ ${units > 0 ? "+" : ""}${fmtUnits(units, TOPUP_CURRENCY)} for ${u.tg_id}. Balance: ${balance}`);
+});
+
+// Quick ping
+bot.hears(/^ping$/i, (ctx) => ctx.reply("pong ✅"));
+
+// Fallback help
+bot.command("help", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  await ctx.reply(
+    `Commands:\n` +
+    `/start - open menu\n` +
+    `/redeem <code> - redeem a gift code\n` +
+    `/setgroup <product> - (staff) run inside group\n` +
+    `/unsetgroup, /groups - (staff) manage linked chats\n` +
+    `/product - (staff) manage the product catalog\n` +
+    `/promo - (staff) manage promo codes\n` +
+    `/payouts - (staff) referral payout ledger\n` +
+    `/admin - (staff) admin panel\n` +
+    `/webhook - (staff) outbound webhook endpoints\n` +
+    `/stats - (staff) revenue and subscription analytics\n` +
+    `/export - (staff) invoices / payments / subscriptions as CSV or JSON\n` +
+    `/credit - (staff) user balance: view, grant or correct\n` +
+    `/broadcast - (owner) message a segment of users\n` +
+    `/staff - (owner) manage staff roles\n\n` +
+    `Tip: Use the buttons for a smooth purchase flow.`
+  );
+});
+
+// ===================== GROUP GATEKEEPING (join requests + membership) =====================
+bot.on("chat_join_request", async (ctx) => {
+  const req = ctx.chatJoinRequest;
+  const chatId = String(req.chat.id);
+  if (!chatGrantProducts(chatId).length) return; // not a linked chat
+
+  const tgId = req.from.id;
+  ensureUser(tgId);
+
+  if (chatAccess(tgId, chatId)) {
+    try {
+      await ctx.approveChatJoinRequest(tgId);
+      trackMember(chatId, tgId, "member");
+    } catch (e) {
+      console.error("approve error:", e.message || e);
+    }
+    return;
+  }
+
+  try {
+    await ctx.declineChatJoinRequest(tgId);
+  } catch (_) {}
+  try {
+    const lc = ctx.state.lc;
+    await bot.telegram.sendMessage(
+      req.user_chat_id || tgId,
+      tr(lc, "access.declined", { chat: req.chat.title || tr(lc, "access.this_group"), products: describeChatProducts(chatGrantProducts(chatId), lc) }),
+      Markup.inlineKeyboard([[Markup.button.callback(tr(lc, "home.buy"), "HOME_BUY")]])
+    );
+  } catch (_) {}
+});
+
+// Membership changes in linked chats (needs the bot to be admin; "chat_member" is in allowedUpdates)
+bot.on("chat_member", async (ctx, next) => {
+  const u = ctx.chatMember;
+  const chatId = String(u.chat.id);
+  if (!chatGrantProducts(chatId).length) return next();
+
+  const st = u.new_chat_member.status;
+  const status =
+    st === "creator" || st === "administrator" ? "admin" :
+    st === "member" || (st === "restricted" && u.new_chat_member.is_member) ? "member" :
+    st === "kicked" ? "removed" : "left";
+  trackMember(chatId, u.new_chat_member.user.id, status);
+});
+
+// ===================== ADMIN PANEL (staff) =====================
+function audit(actorId, action, targetId, details) {
+  S.addAudit.run(String(actorId), action, targetId != null ? String(targetId) : null, details ? JSON.stringify(details) : null, nowTs());
+}
+
+function fmtDateTime(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 16).replace("T", " ");
+}
+
+// ID or @username -> users row
+function findUser(query) {
+  const q = String(query || "").trim();
+  if (/^\d+$/.test(q)) return S.getUser.get(q) || null;
+  const name = q.replace(/^@/, "").toLowerCase();
+  return name ? S.getUserByUsername.get(name) || null : null;
+}
+
+// --- Actions (each one audited) ---
+function adminGrant(actorId, tgId, product, months) {
+  const newExpiry = applySubscription(tgId, product, months, 0, false);
+  audit(actorId, "sub.grant", tgId, { product, months, expires_at: newExpiry });
+  return newExpiry;
+}
+
+// days > 0 extends (from now if already expired), days < 0 shortens
+function adminAdjust(actorId, tgId, product, days) {
+  const ex = S.getSub.get(String(tgId), product);
+  let newExpiry;
+  if (days > 0) {
+    newExpiry = applySubscription(tgId, product, 0, days, false);
+  } else {
+    if (!ex) return null;
+    newExpiry = ex.expires_at + secDays(days);
+    S.setSubExpiry.run(newExpiry, String(tgId), product);
+  }
+  audit(actorId, days > 0 ? "sub.extend" : "sub.shorten", tgId, { product, days, expires_at: newExpiry });
+  return newExpiry;
+}
+
+function adminRevoke(actorId, tgId, product) {
+  const ex = S.getSub.get(String(tgId), product);
+  if (!ex) return false;
+  S.setSubExpiry.run(nowTs(), String(tgId), product);
+  audit(actorId, "sub.revoke", tgId, { product, previous_expires_at: ex.expires_at });
+  return true;
+}
+
+function adminCancelInvoice(actorId, invoiceId) {
+  const inv = S.getInvoice.get(invoiceId);
+  const kept = inv ? cancelInvoice(inv) : null;
+  if (kept == null) return false;
+  audit(actorId, "invoice.cancel", inv.tg_id, { invoice_id: inv.id, credited_units: kept || undefined });
+  return true;
+}
+
+// -> { newExpiry } (null for a gift invoice) or null if the invoice is not open
+function adminMarkPaid(actorId, invoiceId, reason) {
+  const inv = S.getInvoice.get(invoiceId);
+  if (!inv || !["pending", "expired", "partial"].includes(inv.status)) return null;
+  const newExpiry = completeInvoice(inv, null);
+  S.setInvoiceNote.run(reason, inv.id);
+  audit(actorId, "invoice.mark_paid", inv.tg_id, { invoice_id: inv.id, reason });
+  return { newExpiry };
+}
+
+// Refund recorded (the on-chain transfer back is done by the owner): a paid invoice's time is taken off
+// the subscription (not below now), credit spent on the invoice goes back to the balance and an unspent
+// overpayment comes off it (it is sent back with the rest). An upgrade gives the subscriptions it ended
+// their remaining time back.
+// -> { expires_at (null when nothing was granted), refund_units (to send back), restored: [product] },
+//    { error } when it must be handled by hand, or null if it cannot be refunded
+const adminRefund = db.transaction((actorId, invoiceId, reason) => {
+  const inv = S.getInvoice.get(invoiceId);
+  if (inv?.status === "paid" && inv.upgrade_from && !inv.upgrade_ended) {
+    return { error: `Invoice #${inv.id} is an upgrade paid before the replaced plans were recorded, so it cannot be refunded here. Give ${csvList(inv.upgrade_from).map(productLabel).join(" + ")} back by hand (Extend) and refund outside the bot.` };
+  }
+  if (!inv || !S.refundInvoice.run(reason, nowTs(), invoiceId).changes) return null;
+
+  // A gift's time went to whoever redeemed it; an unredeemed code is revoked
+  const gift = inv.gift ? S.getGiftByInvoice.get(inv.id) : null;
+  if (gift && !gift.redeemed_at) S.revokeGift.run(nowTs(), gift.code);
+  const holder = inv.gift ? gift?.redeemed_by : inv.tg_id;
+
+  let expiresAt = null;
+  const sub = inv.status === "paid" && holder ? S.getSub.get(String(holder), inv.product) : null;
+  if (sub) {
+    const days = (inv.bonus_days || 0) + (gift?.setup_days || 0);
+    expiresAt = Math.max(nowTs(), sub.expires_at - secMonths(inv.months) - secDays(days));
+    S.setSubExpiry.run(expiresAt, String(holder), inv.product);
+  }
+  if (inv.credit_units) addCredit(inv.tg_id, inv.currency, inv.credit_units, "refund", inv.id, reason, actorId);
+
+  // Upgrade: the ended subscriptions get back the time they had left when it was paid
+  const restored = [];
+  if (inv.status === "paid" && inv.upgrade_ended) {
+    for (const [product, prevExpiry] of Object.entries(JSON.parse(inv.upgrade_ended))) {
+      const s = S.getSub.get(String(inv.tg_id), product);
+      const left = prevExpiry - inv.paid_at;
+      if (!s || left <= 0) continue;
+      S.setSubExpiry.run(Math.max(s.expires_at, nowTs()) + left, String(inv.tg_id), product);
+      restored.push(product);
+    }
+  }
+
+  const over = S.invoiceCredit.get(inv.id, "overpayment").units + S.invoiceCredit.get(inv.id, "to_days").units;
+  const reclaim = Math.max(0, Math.min(over, creditBalance(inv.tg_id, inv.currency)));
+  if (reclaim) addCredit(inv.tg_id, inv.currency, -reclaim, "refund", inv.id, reason, actorId);
+  const refundUnits = inv.received_units - S.invoiceCredit.get(inv.id, "overpayment").units + reclaim;
+
+  audit(actorId, "invoice.refund", inv.tg_id, {
+    invoice_id: inv.id, reason, refund_units: refundUnits, credit_units: inv.credit_units || undefined,
+    gift_code: gift?.code, gift_holder: gift?.redeemed_by || undefined,
+    previous_expires_at: sub?.expires_at, expires_at: expiresAt ?? undefined, restored: restored.length ? restored : undefined,
+  });
+  return { expires_at: expiresAt, refund_units: refundUnits, restored };
+});
+
+// --- Screens ---
+function kbAdminHome() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🔎 Find user", "ADM:find"), Markup.button.callback("🧾 Find invoice", "ADM:inv")],
+    [Markup.button.callback("📜 Audit log", "ADM:log")],
+  ]);
+}
+
+function textAdminUser(u) {
+  const subs = S.getSubs.all(u.tg_id);
+  const invs = S.listUserInvoices.all(u.tg_id, 5);
+  let t = `👤 User ${u.tg_id}${u.username ? ` (@${u.username})` : ""}\n`;
+  t += `Joined ${fmtDateTime(u.created_at)} · last seen ${fmtDateTime(u.last_seen_at)}\n`;
+  if (u.referred_by) t += `Referred by ${u.referred_by}\n`;
+
+  t += `\nSubscriptions:\n`;
+  if (!subs.length) t += `—\n`;
+  for (const s of subs) {
+    const state = s.expires_at > nowTs() ? `${daysLeft(s.expires_at)}d left` : "expired";
+    t += `${productLabel(s.product)} — until ${fmtDateTime(s.expires_at)} (${state}) · setup ${s.setup_paid ? "✅" : "❌"}\n`;
+  }
+
+  const credit = S.creditBalances.all(u.tg_id);
+  if (credit.length) t += `\nCredit: ${credit.map(c => fmtUnits(c.units, c.currency)).join(" · ")}\n`;
+
+  t += `\nRecent invoices:\n`;
+  if (!invs.length) t += `—\n`;
+  for (const i of invs) t += `${textAdminInvoiceLine(i)}\n`;
+  return t;
+}
+
+function textAdminInvoiceLine(i) {
+  return `#${i.id} ${i.product} ${i.months}mo · ${fmtAmount(i.amount, i.currency)} · ${i.status} · ${fmtDateTime(i.created_at)}`;
+}
+
+// Buttons are limited to what the viewer's role allows
+function kbAdminUser(tgId, viewer) {
+  const rows = [];
+  if (can(viewer, "subs")) {
+    rows.push([Markup.button.callback("➕ Grant", `ADM:pick:grant:${tgId}`), Markup.button.callback("⏩ Extend", `ADM:pick:extend:${tgId}`)]);
+    rows.push([Markup.button.callback("⏪ Shorten", `ADM:pick:shorten:${tgId}`), Markup.button.callback("⛔ Revoke", `ADM:pick:revoke:${tgId}`)]);
+  }
+  if (can(viewer, "invite")) rows.push([Markup.button.callback("✉️ Re-send invite", `ADM:invite:${tgId}`)]);
+  rows.push([Markup.button.callback("⬅️ Admin menu", "ADM:home")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function kbAdminInvoice(inv, viewer) {
+  const rows = [];
+  const isOpen = ["pending", "expired", "partial"].includes(inv.status);
+  if (can(viewer, "invoices") && isOpen) rows.push([Markup.button.callback("✅ Mark paid", `ADM:paid:${inv.id}`)]);
+  if (can(viewer, "invoices") && (inv.status === "paid" || inv.status === "partial")) {
+    rows.push([Markup.button.callback("↩️ Mark refunded", `ADM:refund:${inv.id}`)]);
+  }
+  rows.push([Markup.button.callback("👤 Open user", `ADM:user:${inv.tg_id}`), Markup.button.callback("⬅️ Admin menu", "ADM:home")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function textAdminGiftLine(inv) {
+  if (!inv.gift) return "";
+  const g = S.getGiftByInvoice.get(inv.id);
+  if (!g) return `🎁 Gift (code created when paid)\n`;
+  const state = g.revoked_at ? `revoked ${fmtDateTime(g.revoked_at)}`
+    : g.redeemed_at ? `redeemed by ${g.redeemed_by} ${fmtDateTime(g.redeemed_at)}`
+    : "not redeemed";
+  return `🎁 Gift ${g.code} · ${state}\n`;
+}
+
+function textAdminInvoice(inv) {
+  return (
+    `🧾 Invoice #${inv.id}\n\n` +
+    `User: ${inv.tg_id}\n` +
+    `Product: ${productLabel(inv.product)} · ${inv.months} month(s)\n` +
+    `Amount: ${fmtAmount(inv.amount, inv.currency)}${inv.price_usd != null ? ` (${fmtUsd(inv.price_usd)})` : ""}\n` +
+    (inv.credit_units ? `Paid from credit: ${fmtUnits(inv.credit_units, inv.currency)}\n` : "") +
+    (inv.received_units ? `Received on-chain: ${fmtUnits(inv.received_units, inv.currency)}\n` : "") +
+    (inv.promo_code ? `Code: ${inv.promo_code}\n` : "") +
+    textAdminGiftLine(inv) +
+    `Status: ${inv.status}\n` +
+    `Created: ${fmtDateTime(inv.created_at)}\n` +
+    (inv.paid_at ? `Paid: ${fmtDateTime(inv.paid_at)}\n` : "") +
+    (inv.refunded_at ? `Refunded: ${fmtDateTime(inv.refunded_at)}\n` : "") +
+    (inv.tx_sig ? `TX: ${inv.tx_sig}\n` : "") +
+    (inv.admin_note ? `Note: ${inv.admin_note}\n` : "")
+  );
+}
+
+// Permission per ADM:<action> (anything not listed needs "view")
+const ADMIN_ACTION_PERMS = {
+  grant: "subs", extend: "subs", shorten: "subs", revoke: "subs",
+  invite: "invite", paid: "invoices", refund: "invoices",
+};
+
+function askAdmin(ctx, state, draft, prompt) {
+  S.setDraftState.run(String(ctx.from.id), state, JSON.stringify(draft), nowTs());
+  return ctx.reply(prompt, Markup.inlineKeyboard([[Markup.button.callback("✖️ Cancel", "ADM:home")]]));
+}
+
+bot.command("admin", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "view")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (ctx.chat.type !== "private") return ctx.reply("Use /admin in a private chat with the bot.");
+
+  await ctx.reply("🛠 Admin panel", kbAdminHome());
+});
+
+// Owner: staff roles
+// /staff list | add <id|@username> <role> | remove <id|@username>
+const STAFF_USAGE =
+  "Usage:\n" +
+  "/staff list\n" +
+  `/staff add <id|@username> <${Object.keys(ROLE_PERMS).join("|")}>\n` +
+  "/staff remove <id|@username>\n\n" +
+  "@username works once the person has used the bot.";
+
+bot.command("staff", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!can(ctx, "staff")) return;
+  if (!rateLimitOk(String(ctx.from.id))) return;
+
+  const [, sub, who, role] = ctx.message.text.trim().split(/\s+/);
+  const actor = String(ctx.from.id);
+
+  if (!sub || sub === "list") {
+    const rows = S.listStaff.all();
+    return ctx.reply(
+      `👥 Staff\n\n${OWNER_ID} — owner (config)\n` +
+      rows.map(r => `${r.tg_id} — ${r.role} (added ${fmtDate(r.created_at)} by ${r.added_by || "?"})`).join("\n") +
+      `\n\n${STAFF_USAGE}`
+    );
+  }
+
+  // numeric IDs don't need to be known users yet
+  const tgId = /^\d+$/.test(who || "") ? who : findUser(who)?.tg_id;
+  if (!tgId) return ctx.reply(`User not found.\n\n${STAFF_USAGE}`);
+  if (tgId === OWNER_ID) return ctx.reply("The configured owner (OWNER_ID) can't be changed here.");
+
+  if (sub === "add") {
+    if (!ROLE_PERMS[role]) return ctx.reply(STAFF_USAGE);
+    S.setStaff.run(tgId, role, actor, nowTs());
+    audit(actor, "staff.add", tgId, { role });
+    return ctx.reply(`✅ ${tgId} is now ${role}.`);
+  }
+
+  if (sub === "remove") {
+    const r = S.removeStaff.run(tgId);
+    if (r.changes) audit(actor, "staff.remove", tgId, null);
+    return ctx.reply(r.changes ? `✅ ${tgId} removed from staff.` : "Not a staff member.");
+  }
+
+  return ctx.reply(STAFF_USAGE);
+});
+
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("ADM:")) return next();
+  const [, action, ...args] = data.split(":");
+  const perm = ADMIN_ACTION_PERMS[action === "pick" ? args[0] : action] || "view";
+  if (!can(ctx, perm)) return ctx.answerCbQuery("Not allowed.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  await ctx.answerCbQuery();
+  const actor = String(ctx.from.id);
+
+  if (action === "home") {
+    S.setState.run(actor, "none", null, nowTs());
+    return ctx.editMessageText("🛠 Admin panel", kbAdminHome());
+  }
+  if (action === "find") return askAdmin(ctx, "admin_lookup", {}, "Send a user ID or @username.");
+  if (action === "inv") return askAdmin(ctx, "admin_invoice", {}, "Send an invoice number (e.g. 42).");
+
+  if (action === "log") {
+    const rows = S.listAudit.all(15);
+    const t = rows.length
+      ? rows.map(r => `${fmtDateTime(r.created_at)} ${r.actor_id} ${r.action}${r.target_id ? ` → ${r.target_id}` : ""}${r.details ? `\n   ${r.details}` : ""}`).join("\n")
+      : "No admin actions yet.";
+    return ctx.editMessageText(`📜 Audit log (latest 15)\n\n${t}`, Markup.inlineKeyboard([[Markup.button.callback("⬅️ Admin menu", "ADM:home")]]));
+  }
+
+  if (action === "user") {
+    const u = findUser(args[0]);
+    if (!u) return ctx.reply("User not found.");
+    return ctx.editMessageText(textAdminUser(u), kbAdminUser(u.tg_id, ctx));
+  }
+
+  // pick a product for grant / extend / shorten / revoke
+  if (action === "pick") {
+    const [op, tgId] = args;
+    const products = op === "grant" ? listProducts() : S.getSubs.all(tgId).map(s => getProduct(s.product) || { key: s.product, icon: "•", name: s.product });
+    if (!products.length) return ctx.reply("This user has no subscriptions.");
+    const rows = products.map(p => [Markup.button.callback(`${p.icon} ${p.name}`, `ADM:${op}:${tgId}:${p.key}`)]);
+    rows.push([Markup.button.callback("⬅️ Back", `ADM:user:${tgId}`)]);
+    return ctx.editMessageText(`Choose a product to ${op}:`, Markup.inlineKeyboard(rows));
+  }
+
+  if (action === "grant") {
+    const [tgId, product, monthsStr] = args;
+    const p = getProduct(product);
+    if (!p) return ctx.reply("Unknown product.");
+    if (!monthsStr) {
+      const rows = [p.durations.map(m => Markup.button.callback(`${m} mo`, `ADM:grant:${tgId}:${product}:${m}`))];
+      rows.push([Markup.button.callback("⬅️ Back", `ADM:user:${tgId}`)]);
+      return ctx.editMessageText(`Grant ${p.icon} ${p.name} to ${tgId} for:`, Markup.inlineKeyboard(rows));
+    }
+    const newExpiry = adminGrant(actor, tgId, product, Number(monthsStr));
+    await sendInvite(tgId);
+    return ctx.editMessageText(`✅ Granted ${p.name} (${monthsStr} mo) — until ${fmtDateTime(newExpiry)}.`, kbAdminUser(tgId, ctx));
+  }
+
+  if (action === "extend" || action === "shorten") {
+    const [tgId, product] = args;
+    return askAdmin(ctx, "admin_days", { op: action, tgId, product }, `How many days to ${action} ${productLabel(product)} for ${tgId}?`);
+  }
+
+  if (action === "revoke") {
+    const [tgId, product, confirm] = args;
+    if (!confirm) {
+      return ctx.editMessageText(`Revoke ${productLabel(product)} for ${tgId}? It expires immediately.`, Markup.inlineKeyboard([
+        [Markup.button.callback("⛔ Yes, revoke", `ADM:revoke:${tgId}:${product}:yes`)],
+        [Markup.button.callback("⬅️ Back", `ADM:user:${tgId}`)],
+      ]));
+    }
+    adminRevoke(actor, tgId, product);
+    return ctx.editMessageText(`✅ Revoked ${productLabel(product)}. The user is removed at the next kick run (after grace).`, kbAdminUser(tgId, ctx));
+  }
+
+  if (action === "invite") {
+    const ok = await sendInvite(args[0]);
+    audit(actor, "invite.resend", args[0], { sent: ok });
+    return ctx.reply(ok ? "✅ Invite sent." : "Nothing sent (no access, no linked chat, or the user blocked the bot).");
+  }
+
+  if (action === "paid" || action === "refund") {
+    return askAdmin(ctx, "admin_reason", { op: action, invoiceId: Number(args[0]) }, `Reason for ${action === "paid" ? "marking paid" : "the refund"} of invoice #${args[0]}?`);
+  }
+});
+
+// Text input for the admin panel (state admin_*)
+async function handleAdminInput(ctx, st) {
+  const actor = String(ctx.from.id);
+  const draft = JSON.parse(st.draft || "{}");
+  const perm = { admin_days: "subs", admin_reason: "invoices" }[st.state] || "view";
+  if (!can(ctx, perm)) return S.setState.run(actor, "none", null, nowTs());
+
+  const text = (ctx.message.text || "").trim();
+  S.setState.run(actor, "none", null, nowTs());
+
+  if (st.state === "admin_lookup") {
+    const u = findUser(text);
+    if (!u) return askAdmin(ctx, "admin_lookup", {}, "User not found. Send another ID or @username.");
+    return ctx.reply(textAdminUser(u), kbAdminUser(u.tg_id, ctx));
+  }
+
+  if (st.state === "admin_invoice") {
+    const inv = S.getInvoice.get(Number(text.replace(/^#/, "")));
+    if (!inv) return askAdmin(ctx, "admin_invoice", {}, "Invoice not found. Send another number.");
+    return ctx.reply(textAdminInvoice(inv), kbAdminInvoice(inv, ctx));
+  }
+
+  if (st.state === "admin_days") {
+    const days = Math.floor(Number(text));
+    if (!(days > 0)) return askAdmin(ctx, "admin_days", draft, "Send a positive number of days.");
+    const newExpiry = adminAdjust(actor, draft.tgId, draft.product, draft.op === "extend" ? days : -days);
+    if (newExpiry == null) return ctx.reply("No subscription to shorten.", kbAdminUser(draft.tgId, ctx));
+    return ctx.reply(`✅ ${productLabel(draft.product)} now runs until ${fmtDateTime(newExpiry)}.`, kbAdminUser(draft.tgId, ctx));
+  }
+
+  if (st.state === "admin_reason") {
+    if (text.length < 3) return askAdmin(ctx, "admin_reason", draft, "Please give a short reason (3+ characters).");
+
+    if (draft.op === "paid") {
+      const marked = adminMarkPaid(actor, draft.invoiceId, text);
+      if (!marked) return ctx.reply("Invoice is not open anymore.");
+      const inv = S.getInvoice.get(draft.invoiceId);
+      const done = paidMessage(inv, marked.newExpiry, ctx.botInfo?.username);
+      try {
+        await bot.telegram.sendMessage(inv.tg_id, done.text, done.extra);
+      } catch (_) {}
+      if (!inv.gift) await sendInvite(inv.tg_id);
+      await afterInvoicePaid(inv);
+      return ctx.reply(`✅ Invoice #${inv.id} marked paid.`, kbAdminInvoice(inv, ctx));
+    }
+
+    const r = adminRefund(actor, draft.invoiceId, text);
+    const inv = S.getInvoice.get(draft.invoiceId);
+    if (!r) return ctx.reply("Only paid or partly paid invoices can be refunded.", inv ? kbAdminInvoice(inv, ctx) : kbAdminHome());
+    if (r.error) return ctx.reply(`⚠️ ${r.error}`, kbAdminInvoice(inv, ctx));
+    return ctx.reply(
+      `✅ Invoice #${inv.id} marked refunded.` +
+      (r.expires_at != null ? `\n${productLabel(inv.product)} now runs until ${fmtDateTime(r.expires_at)}.` : "") +
+      (r.restored.length ? `\nRestored: ${r.restored.map(productLabel).join(" + ")} (time left at the upgrade).` : "") +
+      (r.refund_units ? `\nSend ${fmtUnits(r.refund_units, inv.currency)} back to the payer (see /export payments).` : ""),
+      kbAdminInvoice(inv, ctx)
+    );
+  }
+}
+
+// ===================== CALLBACK HANDLERS =====================
+bot.action("HOME", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(tr(ctx.state.lc, "home.title"), kbHome(ctx.state.lc));
+});
 
-  const me = await bot.telegram.getMe();
-  await ctx.reply(textWelcome(me.username), kbHome());
+bot.action("HOME_BUY", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(tr(ctx.state.lc, "buy.choose"), kbBuyProducts(ctx.state.lc));
 });
 
-// Owner: link group
-bot.command("setgroup", async (ctx) => {
+bot.action("HOME_STATUS", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!isOwner(ctx)) return;
-  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
 
-  if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup") {
-    return ctx.reply("Run /setgroup inside your group (not in private chat).");
+  // Join links are persistent -> shown in the status instead of minting new invites
+  for (const c of linkedChats()) {
+    if (chatAccess(ctx.from.id, c.chatId)) await ensureJoinLink(c.chatId);
   }
 
-  S.setSetting.run("group_id", String(ctx.chat.id));
-  return ctx.reply(`✅ Group linked successfully.\nChat ID saved: ${ctx.chat.id}`);
+  const text = formatStatus(ctx.from.id);
+  await ctx.editMessageText(text, { ...kbStatus(ctx.from.id), link_preview_options: { is_disabled: true } });
 });
 
-// Quick ping
-bot.hears(/^ping$/i, (ctx) => ctx.reply("pong ✅"));
+// Toggle auto-renew from the balance for one subscription
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("AUTORENEW_")) return next();
 
-// Fallback help
-bot.command("help", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return;
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
 
-  await ctx.reply(
-    `Commands:\n` +
-    `/start - open menu\n` +
-    `/setgroup - (owner only) run inside group\n\n` +
-    `Tip: Use the buttons for a smooth purchase flow.`
+  const product = data.replace("AUTORENEW_", "");
+  const sub = S.getSub.get(String(ctx.from.id), product);
+  if (!sub) return ctx.answerCbQuery();
+
+  S.setAutoRenew.run(sub.auto_renew ? 0 : 1, String(ctx.from.id), product);
+  await ctx.answerCbQuery(
+    sub.auto_renew
+      ? tr(ctx.state.lc, "status.auto_renew_off")
+      : tr(ctx.state.lc, "status.auto_renew_on", { days: REMINDER_DAYS_BEFORE, currency: TOPUP_CURRENCY })
   );
+  await ctx.editMessageText(formatStatus(ctx.from.id), { ...kbStatus(ctx.from.id), link_preview_options: { is_disabled: true } });
 });
 
-// ===================== CALLBACK HANDLERS =====================
-bot.action("HOME", async (ctx) => {
+bot.action("UPGRADE", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
   await ctx.answerCbQuery();
-  await ctx.editMessageText("🏠 Main Menu", kbHome());
+
+  await ctx.editMessageText(tr(ctx.state.lc, "plans.title"), kbPlanChanges(ctx.from.id));
 });
 
-bot.action("HOME_BUY", async (ctx) => {
+// Bundle -> one of its products: confirm first (the bundle ends)
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  const m = data.match(/^DOWNGRADE(_OK)?_(.+)$/);
+  if (!m) return next();
+
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
   await ctx.answerCbQuery();
-  await ctx.editMessageText("🛒 Choose a product:", kbBuyProducts());
+
+  const [, confirmed, target] = m;
+  const lc = ctx.state.lc;
+  if (!confirmed) {
+    const q = downgradeQuote(ctx.from.id, target);
+    if (!q || q.days < 1) return ctx.editMessageText(tr(lc, "plans.nothing"), kbStatus(ctx.from.id));
+    return ctx.editMessageText(
+      tr(lc, "plans.switch", {
+        product: productLabel(target), replaced: q.replaced.map(productLabel).join(" + "), credit: fmtUsd(q.unusedUsd), days: q.days,
+      }),
+      Markup.inlineKeyboard([
+        [Markup.button.callback(tr(lc, "plans.switch_button"), `DOWNGRADE_OK_${target}`)],
+        [Markup.button.callback(tr(lc, "common.back"), "UPGRADE")],
+      ])
+    );
+  }
+
+  const r = applyDowngrade(ctx.from.id, target);
+  if (!r) return ctx.editMessageText(tr(lc, "plans.nothing"), kbStatus(ctx.from.id));
+  await ctx.editMessageText(tr(lc, "plans.switched", { product: productLabel(target), days: daysLeft(r.expiresAt) }), kbStatus(ctx.from.id));
+  await kickLapsed(ctx.from.id);
 });
 
-bot.action("HOME_STATUS", async (ctx) => {
+bot.action("HOME_BALANCE", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
   await ctx.answerCbQuery();
+  await ctx.editMessageText(textBalance(ctx.from.id), kbBalance(ctx.state.lc));
+});
 
-  const text = formatStatus(ctx.from.id);
-  await ctx.editMessageText(text, kbHome());
+// New top-up request: Solana Pay link without an amount (the wallet asks how much)
+bot.action("TOPUP", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
 
-  // If active, try sending invite automatically (in DM)
-  if (hasAnyActiveSub(ctx.from.id)) {
-    await sendInvite(ctx.from.id);
+  const topup = createTopup(ctx.from.id);
+  const payUrl = topupPayUrl(topup);
+  await ctx.editMessageText(
+    tr(ctx.state.lc, "topup.request", {
+      id: topup.id, currency: topup.currency, url: payUrl, address: TREASURY_SOL_ADDRESS, hours: TOPUP_OPEN_HOURS,
+    }),
+    kbTopup(topup.id, ctx.state.lc)
+  );
+  try {
+    await ctx.replyWithPhoto({ source: await qrPng(payUrl) }, { caption: tr(ctx.state.lc, "topup.qr", { id: topup.id }) });
+  } catch (e) {
+    console.error("qr error:", e.message || e);
+  }
+});
+
+// Top-up "I paid" -> awaiting TX (invoice_id holds the top-up id)
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("TOPUPPAID_")) return next();
+
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
+
+  const topup = S.getTopup.get(Number(data.replace("TOPUPPAID_", "")));
+  if (!topup || String(topup.tg_id) !== String(ctx.from.id)) return ctx.editMessageText(tr(ctx.state.lc, "confirm.topup_not_found"), kbHome(ctx.state.lc));
+  if (topup.status !== "open") {
+    return ctx.editMessageText(tr(ctx.state.lc, "confirm.topup_already", { status: topup.status }), kbHome(ctx.state.lc));
   }
+
+  S.setState.run(String(ctx.from.id), "awaiting_topup_tx", topup.id, nowTs());
+  await ctx.reply(tr(ctx.state.lc, "topup.paste_tx"));
 });
 
 bot.action("HOME_PRICING", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
   await ctx.answerCbQuery();
-  await ctx.editMessageText(textPricing(), kbHome());
+  await ctx.editMessageText(textPricing(ctx.state.lc), kbHome(ctx.state.lc));
+});
+
+bot.action("HOME_REFER", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(textRefer(ctx.from.id, ctx.botInfo.username, ctx.state.lc), {
+    ...Markup.inlineKeyboard([[Markup.button.callback(tr(ctx.state.lc, "common.back"), "HOME")]]),
+    link_preview_options: { is_disabled: true },
+  });
 });
 
 bot.action("HOME_SUPPORT", async (ctx) => {
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(textSupport(ctx.state.lc), kbHome(ctx.state.lc));
+});
+
+bot.action("LANG", async (ctx) => {
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
   await ctx.answerCbQuery();
-  await ctx.editMessageText(textSupport(), kbHome());
+  await ctx.editMessageText(textLanguage(ctx.from.id), kbLanguage(ctx.from.id));
+});
+
+// LANG_<code> stores the choice on users.locale; LANG_auto clears it (back to Telegram's language)
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("LANG_")) return next();
+
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  const code = data.slice(5);
+  if (code !== "auto" && !i18n.has(code)) return ctx.answerCbQuery();
+  S.setLocale.run(code === "auto" ? null : code, String(ctx.from.id));
+  ctx.state.lc = userLocale(ctx.from.id);
+
+  await ctx.answerCbQuery(tr(ctx.state.lc, "language.set", { name: localeName(ctx.state.lc) }));
+  await ctx.editMessageText(tr(ctx.state.lc, "home.title"), kbHome(ctx.state.lc));
 });
 
 // Select product
@@ -522,68 +3382,297 @@ bot.on("callback_query", async (ctx, next) => {
   if (!data.startsWith("BUY_")) return next();
 
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
 
   await ctx.answerCbQuery();
 
   const productKey = data.replace("BUY_", "");
   if (!productValid(productKey)) return;
 
-  const p = PRODUCTS[productKey];
-  const perks =
-    productKey === "bundle"
-      ? "Includes Paid Access + Security + Alerts."
-      : "Tap a duration to generate your invoice.";
+  const lc = ctx.state.lc;
+  const p = getProduct(productKey);
+  const perks = p.includes.length
+    ? tr(lc, "buy.includes", { products: p.includes.map(k => getProduct(k)?.name || k).join(" + ") })
+    : tr(lc, "buy.tap_duration");
+  const up = upgradeQuote(ctx.from.id, productKey);
+  const upLine = up
+    ? `${tr(lc, up.setupCreditUsd ? "buy.upgrade_setup" : "buy.upgrade", { products: up.replaced.map(productLabel).join(" + "), credit: fmtUsd(up.unusedUsd) })}\n\n`
+    : "";
 
   const txt =
     `${p.icon} ${p.name}\n\n` +
     `${perks}\n\n` +
-    `Choose duration:`;
+    upLine +
+    tr(lc, "buy.choose_duration");
 
-  await ctx.editMessageText(txt, kbDuration(productKey));
+  await ctx.editMessageText(txt, kbDuration(productKey, ctx.state.lc, ctx.from.id));
 });
 
-// Select duration -> create invoice
+// "Try free" -> trial (or a request for staff approval)
 bot.on("callback_query", async (ctx, next) => {
   const data = ctx.callbackQuery?.data || "";
-  if (!data.startsWith("DUR_")) return next();
+  if (!data.startsWith("TRIAL_")) return next();
 
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
 
   await ctx.answerCbQuery();
 
-  const [, productKey, monthsStr] = data.split("_"); // DUR product months
-  const months = Number(monthsStr);
+  const productKey = data.replace("TRIAL_", "");
+  const lc = ctx.state.lc;
+  const blocker = trialBlocker(ctx.from.id, productKey);
+  if (blocker) return ctx.editMessageText(tr(lc, blocker.key, blocker.vars), kbHome(lc));
 
-  if (!productValid(productKey)) return;
-  if (!Number.isFinite(months) || months <= 0 || months > MAX_MONTHS_PER_PURCHASE) {
-    return ctx.editMessageText("Invalid duration. Please try again.", kbHome());
+  const r = beginTrial(ctx.from.id, productKey);
+  audit(ctx.from.id, "trial.request", String(ctx.from.id), { product: productKey, status: r.status });
+  if (r.status === "pending") {
+    await ctx.editMessageText(tr(lc, "trial.pending", { product: productLabel(productKey) }), kbHome(lc));
+    return askTrialApproval(ctx.from.id, productKey);
+  }
+  await ctx.deleteMessage().catch(() => {});
+  await announceTrial(ctx.from.id, productKey);
+});
+
+// Staff: approve / deny a trial request (TRIALS:ok|no:<tg_id>:<product>)
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("TRIALS:")) return next();
+  if (!can(ctx, "subs")) return ctx.answerCbQuery("Not allowed.");
+  await ctx.answerCbQuery();
+
+  const [, action, tgId, productKey] = data.split(":");
+  const req = S.getTrial.get(tgId, productKey);
+  const who = `${tgId} · ${productLabel(productKey)}`;
+  if (req?.status !== "pending") return ctx.editMessageText(`🆓 Trial request ${who}: already ${req?.status || "gone"}.`);
+
+  const actor = String(ctx.from.id);
+  if (action === "no") {
+    S.denyTrial.run(actor, tgId, productKey);
+    audit(actor, "trial.deny", tgId, { product: productKey });
+    await ctx.editMessageText(`❌ Trial denied: ${who}`);
+    try {
+      await bot.telegram.sendMessage(tgId, tr(userLocale(tgId), "trial.denied", { product: productLabel(productKey) }));
+    } catch (_) {}
+    return;
+  }
+
+  // Bought it (or had it) in the meantime -> nothing to start
+  if (productsGranting(productKey).some(k => S.getSub.get(tgId, k))) {
+    S.denyTrial.run(actor, tgId, productKey);
+    return ctx.editMessageText(`🆓 Trial request ${who}: the user already has a subscription, closed.`);
+  }
+  beginTrial(tgId, productKey, actor);
+  audit(actor, "trial.approve", tgId, { product: productKey });
+  await ctx.editMessageText(`✅ Trial approved: ${who}`);
+  await announceTrial(tgId, productKey);
+});
+
+// Setup fee + upgrade credit for a checkout; a gift is priced for a new member (setup included, no upgrade)
+function checkoutBasis(tgId, productKey, gift) {
+  if (gift) return { setupAlreadyPaid: false, upgrade: null };
+  const ex = S.getSub.get(String(tgId), productKey);
+  return { setupAlreadyPaid: ex ? ex.setup_paid === 1 : false, upgrade: upgradeQuote(tgId, productKey) };
+}
+
+// Create invoice + show it with its Solana Pay QR code
+// useBalance -> credit in `currency` pays first (fully covered = activated right away)
+// gift -> paying it creates a gift code instead of activating the buyer
+async function sendNewInvoice(ctx, productKey, months, currency, code, useBalance = false, gift = false) {
+  const lc = ctx.state.lc;
+  const { setupAlreadyPaid, upgrade } = checkoutBasis(ctx.from.id, productKey, gift);
+
+  let promo = null;
+  if (code) {
+    const pc = checkPromo(code, ctx.from.id, productKey, months, setupAlreadyPaid);
+    if (!pc.ok) return ctx.editMessageText(`🎟 ${tr(lc, pc.key, pc.vars)}`, kbCheckout(productKey, months, null, ctx.from.id, gift));
+    promo = pc.promo;
   }
+  const { discountUsd, priceUsd, bonusDays, upgradeUsd } = applyPromo(productKey, months, setupAlreadyPaid, promo, upgrade);
+  const extraFields = {
+    upgrade_from: upgrade ? upgrade.replaced.join(",") : null, upgrade_usd: upgrade ? upgradeUsd : null, gift: gift ? 1 : 0,
+  };
+
+  // Fully discounted / covered by the upgrade credit -> nothing to pay, activate right away
+  if (priceUsd <= 0) {
+    return activateFreeInvoice(ctx, productKey, months, currency, { promo, discountUsd, bonusDays, ...extraFields });
+  }
+
+  let quote;
+  try {
+    quote = await quoteUsd(priceUsd, currency);
+  } catch (e) {
+    console.error("price oracle error:", e.message || e);
+    return ctx.editMessageText(tr(lc, "common.price_unavailable"), kbHome(lc));
+  }
+
+  // Balance in the same currency pays first; amount = the rest, paid on-chain
+  const quotedUnits = toUnits(quote.amount, currency);
+  const creditUnits = useBalance ? Math.max(0, Math.min(creditBalance(ctx.from.id, currency), quotedUnits)) : 0;
+  const amount = fromUnits(quotedUnits - creditUnits, currency);
 
-  const ex = S.getSub.get(String(ctx.from.id), productKey);
-  const setupAlreadyPaid = ex ? ex.setup_paid === 1 : false;
+  const inv = openInvoice({
+    tg_id: String(ctx.from.id), product: productKey, months, currency, amount, amount_sol: currency === "SOL" ? amount : 0,
+    price_usd: priceUsd, rate_usd: quote.rate,
+    promo_code: promo?.code || null, discount_usd: discountUsd || null, bonus_days: bonusDays || null,
+    credit_units: creditUnits, ...extraFields, memo: memoFor(ctx.from.id, productKey), reference: newReference(), created_at: nowTs(),
+  });
 
-  const memo = memoFor(ctx.from.id, productKey);
-  const amount = calcAmount(productKey, months, setupAlreadyPaid);
-  const createdAt = nowTs();
+  if (amount <= 0) return activateCoveredInvoice(ctx, inv, tr(lc, "invoice.from_balance_paid", { amount: fmtUnits(creditUnits, currency) }));
 
-  const info = S.createInvoice.run(String(ctx.from.id), productKey, months, amount, memo, createdAt);
-  const invoiceId = info.lastInsertRowid;
+  const payUrl = solanaPayUrl(inv);
 
-  const p = PRODUCTS[productKey];
+  const p = getProduct(productKey);
+  const mint = CURRENCIES[currency].mint;
 
   const msg =
-    `🧾 Invoice #${invoiceId}\n\n` +
-    `Product: ${p.icon} ${p.name}\n` +
-    `Duration: ${months} month(s) (${months * DAYS_PER_MONTH} days)\n` +
-    `Amount: ${amount} SOL\n\n` +
-    `Send SOL to:\n${TREASURY_SOL_ADDRESS}\n\n` +
-    `⚠️ Memo/Reference (must be exact):\n${memo}\n\n` +
-    `After paying, tap ✅ "I paid" and paste your TX signature.\n\n` +
-    `This invoice expires in ${INVOICE_EXPIRE_MINUTES} minutes.`;
+    `${tr(lc, gift ? "invoice.gift" : "invoice.title", { id: inv.id })}\n\n` +
+    `${tr(lc, "invoice.product", { product: `${p.icon} ${p.name}` })}\n` +
+    `${tr(lc, "invoice.duration", { months, days: months * DAYS_PER_MONTH })}\n` +
+    (promo ? `${tr(lc, "invoice.code", { code: promo.code, offer: describePromo(promo, lc) })}\n` : "") +
+    (upgrade ? `${tr(lc, "invoice.upgrade", { credit: fmtUsd(upgradeUsd), products: upgrade.replaced.map(productLabel).join(" + ") })}\n` : "") +
+    (bonusDays ? `${tr(lc, "invoice.bonus", { days: bonusDays })}\n` : "") +
+    `${tr(lc, discountUsd ? "invoice.price_was" : "invoice.price", { price: fmtUsd(priceUsd), was: fmtUsd(priceUsd + discountUsd) })}\n` +
+    (creditUnits ? `${tr(lc, "invoice.from_balance", { amount: fmtUnits(creditUnits, currency) })}\n` : "") +
+    `${tr(lc, mint ? "invoice.amount_token" : "invoice.amount", { amount: fmtAmount(amount, currency), mint })}\n` +
+    (CURRENCIES[currency].usd_peg ? "" : `${tr(lc, "invoice.rate", { currency, rate: fmtUsd(quote.rate), minutes: INVOICE_EXPIRE_MINUTES })}\n`) +
+    `${tr(lc, "invoice.recipient", { address: TREASURY_SOL_ADDRESS })}\n\n` +
+    tr(lc, "invoice.how", { url: payUrl, minutes: INVOICE_EXPIRE_MINUTES });
+
+  await ctx.editMessageText(msg, kbInvoice(inv.id, lc));
+
+  try {
+    await ctx.replyWithPhoto({ source: await qrPng(payUrl) }, { caption: tr(lc, "invoice.qr", { id: inv.id, amount: fmtAmount(amount, currency) }) });
+  } catch (e) {
+    console.error("qr error:", e.message || e);
+  }
+}
+
+// Insert an invoice and spend its credit_units from the user's balance (one transaction)
+const openInvoice = db.transaction((params) => {
+  const info = S.createInvoice.run(params);
+  const inv = S.getInvoice.get(info.lastInsertRowid);
+  if (inv.credit_units) addCredit(inv.tg_id, inv.currency, -inv.credit_units, "applied", inv.id);
+  webhooks.emit("invoice.created", invoiceEventData(inv));
+  return inv;
+});
+
+// Covered by a promo code and / or an upgrade credit
+async function activateFreeInvoice(ctx, productKey, months, currency, { promo, discountUsd, bonusDays, upgrade_from, upgrade_usd, gift }) {
+  const inv = openInvoice({
+    tg_id: String(ctx.from.id), product: productKey, months, currency, amount: 0, amount_sol: 0,
+    price_usd: 0, rate_usd: null,
+    promo_code: promo?.code || null, discount_usd: discountUsd || null, bonus_days: bonusDays || null,
+    credit_units: 0, upgrade_from, upgrade_usd, gift, memo: memoFor(ctx.from.id, productKey), reference: null, created_at: nowTs(),
+  });
+  const headline = promo && discountUsd
+    ? tr(ctx.state.lc, "promo.covers", { code: promo.code })
+    : tr(ctx.state.lc, "invoice.upgrade_covers", { products: csvList(upgrade_from).map(productLabel).join(" + ") });
+  return activateCoveredInvoice(ctx, inv, headline);
+}
+
+// Nothing left to pay on-chain (promo code / account credit) -> activate right away
+async function activateCoveredInvoice(ctx, inv, headline) {
+  const newExpiry = completeInvoice(inv, null);
+
+  const done = paidMessage(inv, newExpiry, ctx.botInfo?.username);
+  await ctx.editMessageText(`${headline}\n\n` + done.text, done.extra || kbHome(ctx.state.lc));
+  if (!inv.gift && hasAnyActiveSub(ctx.from.id)) {
+    await sendInvite(ctx.from.id);
+  }
+  await afterInvoicePaid(inv);
+}
+
+function textCheckout(tgId, productKey, months, promo, gift = false) {
+  const lc = userLocale(tgId);
+  const { setupAlreadyPaid, upgrade } = checkoutBasis(tgId, productKey, gift);
+  const p = getProduct(productKey);
+  const q = applyPromo(productKey, months, setupAlreadyPaid, promo, upgrade);
+
+  let t = `${tr(lc, "checkout.title", { product: `${p.icon} ${p.name}`, months })}\n`;
+  if (gift) t += `${tr(lc, "checkout.gift")}\n`;
+  if (upgrade) {
+    const vars = { products: upgrade.replaced.map(productLabel).join(" + "), credit: fmtUsd(q.upgradeUsd) };
+    t += `${tr(lc, upgrade.setupCreditUsd ? "checkout.upgrade_setup" : "checkout.upgrade", vars)}\n`;
+    if (q.bonusDays) t += `${tr(lc, "checkout.bonus", { days: q.bonusDays })}\n`;
+  }
+  if (promo) t += `${tr(lc, "checkout.code", { code: promo.code, offer: describePromo(promo, lc) })}\n`;
+  t += `${tr(lc, promo && q.discountUsd ? "checkout.price_was" : "checkout.price", { price: fmtUsd(q.priceUsd), was: fmtUsd(q.baseUsd) })}\n`;
+  const balances = S.creditBalances.all(String(tgId)).filter(b => b.units > 0 && ENABLED_CURRENCIES.includes(b.currency));
+  if (balances.length) t += `${tr(lc, "checkout.balance", { amounts: balances.map(b => fmtUnits(b.units, b.currency)).join(" · ") })}\n`;
+  return t + `\n${tr(lc, "checkout.choose")}`;
+}
+
+// Select duration -> checkout (currency + optional promo code); GIFT_ = same checkout as a gift
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("DUR_") && !data.startsWith("GIFT_")) return next();
+
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  await ctx.answerCbQuery();
+
+  const m = data.match(/^(DUR|GIFT)_(.+)_(\d+)$/); // DUR_<product>_<months> (product keys contain "_")
+  if (!m) return;
+  const gift = m[1] === "GIFT";
+  const productKey = m[2];
+  const months = Number(m[3]);
+
+  if (!productValid(productKey)) return;
+  if (!Number.isFinite(months) || months <= 0 || months > MAX_MONTHS_PER_PURCHASE || !getProduct(productKey).durations.includes(months)) {
+    return ctx.editMessageText(tr(ctx.state.lc, "common.invalid_duration"), kbHome(ctx.state.lc));
+  }
+
+  if (!ENABLED_CURRENCIES.length) return ctx.editMessageText(tr(ctx.state.lc, "common.payments_unavailable"), kbHome(ctx.state.lc));
+
+  await ctx.editMessageText(textCheckout(ctx.from.id, productKey, months, null, gift), kbCheckout(productKey, months, null, ctx.from.id, gift));
+});
+
+// "Have a code?" -> wait for the code as text
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!/^PROMOG?_/.test(data)) return next();
 
-  await ctx.editMessageText(msg, kbInvoice(invoiceId));
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  await ctx.answerCbQuery();
+
+  const m = data.match(/^PROMO(G?)_(.+)_(\d+)$/); // PROMO_<product>_<months>; PROMOG_ = gift checkout
+  if (!m || !productValid(m[2])) return;
+  const gift = !!m[1];
+
+  S.setDraftState.run(String(ctx.from.id), "awaiting_promo", JSON.stringify({ product: m[2], months: Number(m[3]), gift }), nowTs());
+  await ctx.editMessageText(tr(ctx.state.lc, "promo.ask"), Markup.inlineKeyboard([
+    [Markup.button.callback(tr(ctx.state.lc, "common.back"), `${gift ? "GIFT" : "DUR"}_${m[2]}_${m[3]}`)],
+  ]));
+});
+
+// Select currency -> create invoice
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!/^PAYB?G?_/.test(data)) return next();
+
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  await ctx.answerCbQuery();
+
+  // PAY_<product>_<months>_<currency>[:<code>]; PAYB_ = same, balance first; ...G_ = as a gift
+  const m = data.match(/^PAY(B?)(G?)_(.+)_(\d+)_([A-Z]+)(?::([A-Z0-9-]+))?$/);
+  if (!m) return;
+  const [, useBalance, gift, productKey, monthsStr, currency, code] = m;
+  const months = Number(monthsStr);
+
+  if (!productValid(productKey)) return;
+  if (!Number.isFinite(months) || months <= 0 || months > MAX_MONTHS_PER_PURCHASE || !getProduct(productKey).durations.includes(months)) {
+    return ctx.editMessageText(tr(ctx.state.lc, "common.invalid_duration"), kbHome(ctx.state.lc));
+  }
+  if (!ENABLED_CURRENCIES.includes(currency)) {
+    return ctx.editMessageText(tr(ctx.state.lc, "common.currency_unavailable"), kbHome(ctx.state.lc));
+  }
+
+  await sendNewInvoice(ctx, productKey, months, currency, code, !!useBalance, !!gift);
 });
 
 // Cancel invoice
@@ -592,7 +3681,7 @@ bot.on("callback_query", async (ctx, next) => {
   if (!data.startsWith("CANCEL_")) return next();
 
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
 
   await ctx.answerCbQuery();
 
@@ -601,13 +3690,43 @@ bot.on("callback_query", async (ctx, next) => {
 
   const inv = S.getInvoice.get(invoiceId);
   if (!inv || String(inv.tg_id) !== String(ctx.from.id)) {
-    return ctx.editMessageText("Invoice not found.", kbHome());
+    return ctx.editMessageText(tr(ctx.state.lc, "confirm.not_found"), kbHome(ctx.state.lc));
   }
 
-  S.cancelInvoice.run(invoiceId);
+  const kept = cancelInvoice(inv);
   S.setState.run(String(ctx.from.id), "none", null, nowTs());
 
-  await ctx.editMessageText("✅ Invoice cancelled.", kbHome());
+  await ctx.editMessageText(
+    tr(ctx.state.lc, "invoice.cancelled") +
+    (kept ? `\n\n${tr(ctx.state.lc, "confirm.expired_kept", { amount: fmtUnits(kept, inv.currency) })}` : ""),
+    kbHome(ctx.state.lc)
+  );
+});
+
+// Overpayment credit -> extra days on the invoice's product
+bot.on("callback_query", async (ctx, next) => {
+  const data = ctx.callbackQuery?.data || "";
+  if (!data.startsWith("OVERDAYS_")) return next();
+
+  ensureUser(ctx.from.id);
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
+
+  await ctx.answerCbQuery();
+
+  const inv = S.getInvoice.get(Number(data.replace("OVERDAYS_", "")));
+  if (!inv || String(inv.tg_id) !== String(ctx.from.id)) return;
+
+  const r = overpaymentToDays(inv);
+  if (!r) {
+    return ctx.editMessageText(
+      inv.gift ? tr(ctx.state.lc, "invoice.to_days_gift", { currency: inv.currency }) : tr(ctx.state.lc, "invoice.to_days_used"),
+      kbHome(ctx.state.lc)
+    );
+  }
+  await ctx.editMessageText(
+    tr(ctx.state.lc, "invoice.to_days_done", { days: r.days, product: productLabel(inv.product), left: daysLeft(r.expiresAt) }),
+    kbHome(ctx.state.lc)
+  );
 });
 
 // "I paid" -> set state awaiting tx
@@ -616,7 +3735,7 @@ bot.on("callback_query", async (ctx, next) => {
   if (!data.startsWith("PAID_")) return next();
 
   ensureUser(ctx.from.id);
-  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery("Slow down.");
+  if (!rateLimitOk(String(ctx.from.id))) return ctx.answerCbQuery(tr(ctx.state.lc, "common.slow_down"));
 
   await ctx.answerCbQuery();
 
@@ -625,25 +3744,25 @@ bot.on("callback_query", async (ctx, next) => {
 
   const inv = S.getInvoice.get(invoiceId);
   if (!inv || String(inv.tg_id) !== String(ctx.from.id)) {
-    return ctx.editMessageText("Invoice not found.", kbHome());
+    return ctx.editMessageText(tr(ctx.state.lc, "confirm.not_found"), kbHome(ctx.state.lc));
   }
 
-  if (inv.status !== "pending") {
-    return ctx.editMessageText(`Invoice is already ${inv.status}.`, kbHome());
+  if (inv.status !== "pending" && inv.status !== "partial") {
+    return ctx.editMessageText(tr(ctx.state.lc, "confirm.already", { status: inv.status }), kbHome(ctx.state.lc));
   }
 
   if (invoiceExpired(inv)) {
-    S.expireInvoice.run(invoiceId);
-    return ctx.editMessageText("⏳ This invoice has expired. Please create a new one.", kbHome());
+    const kept = expireInvoice(inv);
+    return ctx.editMessageText(
+      tr(ctx.state.lc, "confirm.expired") +
+      (kept ? `\n\n${tr(ctx.state.lc, "confirm.expired_kept", { amount: fmtUnits(kept, inv.currency) })}` : ""),
+      kbHome(ctx.state.lc)
+    );
   }
 
   S.setState.run(String(ctx.from.id), "awaiting_tx", invoiceId, nowTs());
 
-  await ctx.reply(
-    `✅ Great — now paste your Solana Transaction Signature (TXID) here.\n\n` +
-    `Phantom: open the transfer → copy "Signature".\n` +
-    `Tip: TXID looks like a long base58 string.`
-  );
+  await ctx.reply(tr(ctx.state.lc, "invoice.paste_tx"));
 });
 
 // Optional /confirm (still supported)
@@ -653,7 +3772,7 @@ bot.command("confirm", async (ctx) => {
 
   const parts = ctx.message.text.trim().split(/\s+/);
   if (parts.length < 3) {
-    return ctx.reply("Usage:\n/confirm <invoiceId> <txSignature>");
+    return ctx.reply(tr(ctx.state.lc, "invoice.confirm_usage"));
   }
 
   const invoiceId = Number(parts[1]);
@@ -667,72 +3786,263 @@ bot.on("text", async (ctx) => {
   if (!rateLimitOk(String(ctx.from.id))) return;
 
   const st = S.getState.get(String(ctx.from.id));
-  if (!st || st.state !== "awaiting_tx" || !st.invoice_id) return;
+  if (st?.state?.startsWith("admin_")) return handleAdminInput(ctx, st);
+  if (st?.state === "awaiting_promo") return handlePromoInput(ctx, st);
+  if (st?.state?.startsWith("broadcast_")) return handleBroadcastInput(ctx, st);
+  if (!st || (st.state !== "awaiting_tx" && st.state !== "awaiting_topup_tx") || !st.invoice_id) return;
 
   const txSig = (ctx.message.text || "").trim();
   // Very light validation: length & base58-like chars
   if (txSig.length < 40 || txSig.length > 120 || !/^[1-9A-HJ-NP-Za-km-z]+$/.test(txSig)) {
-    return ctx.reply("That does not look like a valid Solana TX signature. Please paste the TX signature again.");
+    return ctx.reply(tr(ctx.state.lc, "confirm.bad_signature"));
   }
 
+  if (st.state === "awaiting_topup_tx") return handleTopupConfirm(ctx, Number(st.invoice_id), txSig);
   await handleConfirm(ctx, Number(st.invoice_id), txSig);
 });
 
+async function handlePromoInput(ctx, st) {
+  const draft = JSON.parse(st.draft || "{}");
+  if (!productValid(draft.product)) {
+    S.setState.run(String(ctx.from.id), "none", null, nowTs());
+    return;
+  }
+
+  const code = normalizeCode(ctx.message.text);
+  const gift = !!draft.gift;
+  const { setupAlreadyPaid } = checkoutBasis(ctx.from.id, draft.product, gift);
+  const pc = promoCodeValid(code)
+    ? checkPromo(code, ctx.from.id, draft.product, draft.months, setupAlreadyPaid)
+    : { ok: false, key: "promo.invalid" };
+
+  const lc = ctx.state.lc;
+  if (!pc.ok) {
+    return ctx.reply(tr(lc, "promo.retry", { reason: tr(lc, pc.key, pc.vars) }), Markup.inlineKeyboard([
+      [Markup.button.callback(tr(lc, "common.back"), `${gift ? "GIFT" : "DUR"}_${draft.product}_${draft.months}`)],
+    ]));
+  }
+
+  S.setState.run(String(ctx.from.id), "none", null, nowTs());
+  await ctx.reply(
+    `${tr(lc, "promo.applied")}\n\n` + textCheckout(ctx.from.id, draft.product, draft.months, pc.promo, gift),
+    kbCheckout(draft.product, draft.months, pc.promo.code, ctx.from.id, gift)
+  );
+}
+
 async function handleConfirm(ctx, invoiceId, txSig) {
-  if (!Number.isFinite(invoiceId)) return ctx.reply("Invalid invoice id.");
+  const lc = ctx.state.lc;
+  if (!Number.isFinite(invoiceId)) return ctx.reply(tr(lc, "confirm.invalid_id"));
 
   const inv = S.getInvoice.get(invoiceId);
-  if (!inv) return ctx.reply("Invoice not found.");
-  if (String(inv.tg_id) !== String(ctx.from.id)) return ctx.reply("That invoice is not yours.");
-  if (inv.status !== "pending") return ctx.reply(`Invoice is already ${inv.status}.`);
+  if (!inv) return ctx.reply(tr(lc, "confirm.not_found"));
+  if (String(inv.tg_id) !== String(ctx.from.id)) return ctx.reply(tr(lc, "confirm.not_yours"));
+  if (inv.status !== "pending" && inv.status !== "partial") return ctx.reply(tr(lc, "confirm.already", { status: inv.status }));
 
   if (invoiceExpired(inv)) {
-    S.expireInvoice.run(invoiceId);
+    const kept = expireInvoice(inv);
     S.setState.run(String(ctx.from.id), "none", null, nowTs());
-    return ctx.reply("⏳ This invoice has expired. Please create a new one from the menu.");
+    return ctx.reply(
+      tr(lc, "confirm.expired") +
+      (kept ? `\n\n${tr(lc, "confirm.expired_kept", { amount: fmtUnits(kept, inv.currency) })}` : "")
+    );
   }
 
-  if (S.hasPayment.get(txSig)) return ctx.reply("This transaction signature has already been used.");
+  if (S.hasPayment.get(txSig)) return ctx.reply(tr(lc, "confirm.tx_used"));
 
-  await ctx.reply("🔎 Verifying payment on-chain (treasury + amount + memo)...");
+  await ctx.reply(tr(lc, "confirm.verifying"));
 
   try {
-    const v = await verifySolanaTx(txSig, inv.amount_sol, inv.memo);
-    if (!v.ok) return ctx.reply(`❌ Verification failed: ${v.reason}`);
+    const v = await verifySolanaTx(txSig, inv);
+    if (!v.ok) return ctx.reply(tr(lc, "confirm.failed", { reason: v.reason }));
 
-    // mark payment
-    S.addPayment.run(txSig, nowTs());
-    S.markInvoicePaid.run(nowTs(), txSig, invoiceId);
-    S.setState.run(String(ctx.from.id), "none", null, nowTs());
+    await notifyPayment(recordInvoicePayment(inv, txSig, v.ledger));
+  } catch (e) {
+    console.error("confirm error:", e);
+    return ctx.reply(tr(lc, "confirm.error"));
+  }
+}
 
-    // activate subscription
-    const newExpiry = applySubscription(ctx.from.id, inv.product, inv.months);
-    const p = PRODUCTS[inv.product];
+async function handleTopupConfirm(ctx, topupId, txSig) {
+  const lc = ctx.state.lc;
+  const topup = S.getTopup.get(topupId);
+  if (!topup || String(topup.tg_id) !== String(ctx.from.id)) return ctx.reply(tr(lc, "confirm.topup_not_found"));
+  if (topup.status !== "open") return ctx.reply(tr(lc, "confirm.topup_already", { status: topup.status }));
+  if (S.hasPayment.get(txSig)) return ctx.reply(tr(lc, "confirm.tx_used"));
 
-    await ctx.reply(
-      `✅ Payment confirmed!\n\n` +
-      `Activated: ${p.icon} ${p.name}\n` +
-      `Time left: ${daysLeft(newExpiry)} days\n\n` +
-      `You will be reminded ${REMINDER_DAYS_BEFORE} days before expiry.\n` +
-      `Renew early to extend your remaining time (prepay).`
-    );
+  await ctx.reply(tr(lc, "confirm.topup_verifying"));
 
-    // Send invite if group linked
-    if (hasAnyActiveSub(ctx.from.id)) {
-      await sendInvite(ctx.from.id);
+  try {
+    const tx = await solana.getParsedTransaction(txSig, { maxSupportedTransactionVersion: 0 });
+    if (!tx) return ctx.reply(tr(lc, "confirm.failed", { reason: tr(lc, "confirm.tx_not_found") }));
+    const v = checkPaymentTx(tx, topup);
+    if (!v.ok) return ctx.reply(tr(lc, "confirm.failed", { reason: v.reason }));
+    if (!topupPaidInTime(topup, tx.blockTime)) {
+      return ctx.reply(tr(lc, "confirm.topup_expired"));
     }
+
+    await notifyTopup(topup, creditTopup(topup, txSig, v.ledger));
   } catch (e) {
-    console.error("confirm error:", e);
-    return ctx.reply("❌ Verification error. Try again in a moment.");
+    console.error("top-up confirm error:", e);
+    return ctx.reply(tr(lc, "confirm.error"));
+  }
+}
+
+// ===================== PAYMENT WATCHER (treasury polling) =====================
+// Reference keys appear in the transaction's account keys, memos in the memo instruction / logs
+let watcherBusy = false;
+
+// SOL lands on the treasury wallet, SPL tokens on its associated token accounts (the wallet is not in those txs)
+function watchedAddresses() {
+  const out = [{ cursorKey: "watcher_last_sig", address: TREASURY_PUBKEY }];
+  for (const c of ENABLED_CURRENCIES) {
+    if (CURRENCIES[c].mint) out.push({ cursorKey: `watcher_last_sig_${c}`, address: treasuryTokenAccount(c) });
+  }
+  return out;
+}
+
+// New signatures since `until`, oldest first (pages backwards so a burst is not cut off)
+async function fetchNewSignatures(address, until) {
+  const out = [];
+  let before;
+  for (let page = 0; page < PAYMENT_WATCH_MAX_PAGES; page++) {
+    const opts = { limit: PAYMENT_WATCH_PAGE };
+    if (until) opts.until = until;
+    if (before) opts.before = before;
+
+    const batch = await solana.getSignaturesForAddress(address, opts);
+    out.push(...batch);
+    if (!until || batch.length < PAYMENT_WATCH_PAGE) break;
+    before = batch[batch.length - 1].signature;
   }
+  return out.reverse();
 }
 
-// ===================== AUTOMATIONS (Reminder + Kick + Invoice expiry cleanup) =====================
+// r = recordInvoicePayment(...): rest still due (new pay link + QR) or confirmed (+ overpayment credit)
+async function notifyPayment(r) {
+  const { inv } = r;
+  const lc = userLocale(inv.tg_id);
+  if (!r.paid) {
+    const payUrl = solanaPayUrl(inv);
+    const due = fmtUnits(r.remainingUnits, inv.currency);
+    try {
+      await bot.telegram.sendMessage(
+        inv.tg_id,
+        tr(lc, "invoice.partial", {
+          id: inv.id, received: fmtUnits(inv.received_units, inv.currency), amount: fmtAmount(inv.amount, inv.currency),
+          due, url: payUrl, hours: PARTIAL_PAYMENT_HOURS,
+        }),
+        kbInvoice(inv.id, lc)
+      );
+      await bot.telegram.sendPhoto(inv.tg_id, { source: await qrPng(payUrl) }, { caption: tr(lc, "invoice.partial_qr", { id: inv.id, due }) });
+    } catch (_) {}
+    return;
+  }
+
+  const done = paidMessage(inv, r.newExpiry, bot.botInfo?.username);
+  let msg = done.text;
+  let extra = done.extra;
+  if (r.overUnits > 0) {
+    const days = inv.gift ? 0 : creditDays(inv, r.overUnits);
+    msg += `\n\n${tr(lc, days >= 1 ? "invoice.overpaid_days" : "invoice.overpaid", { amount: fmtUnits(r.overUnits, inv.currency), currency: inv.currency, days })}`;
+    if (days >= 1) extra = Markup.inlineKeyboard([[Markup.button.callback(tr(lc, "invoice.to_days_button", { days }), `OVERDAYS_${inv.id}`)]]);
+  }
+  try {
+    await bot.telegram.sendMessage(inv.tg_id, msg, extra);
+  } catch (_) {}
+  if (!inv.gift && hasAnyActiveSub(inv.tg_id)) {
+    await sendInvite(inv.tg_id);
+  }
+  await afterInvoicePaid(inv);
+}
+
+// -> false when the transaction could not be loaded yet (lagging RPC node): the caller retries it
+async function matchTreasuryTx(txSig) {
+  // Open = pending / partly paid, or expired by the cron while the payment was already on its way
+  const open = S.listOpenInvoices.all(nowTs() - 2 * INVOICE_EXPIRE_MINUTES * 60);
+  const topups = S.listOpenTopups.all(nowTs() - TOPUP_OPEN_HOURS * 3600);
+  if (!open.length && !topups.length) return true;
+
+  const tx = await solana.getParsedTransaction(txSig, { maxSupportedTransactionVersion: 0 });
+  if (!tx) return false;
+
+  for (const topup of topups) {
+    if (!txHasReference(tx, topup.reference)) continue;
+
+    const v = checkPaymentTx(tx, topup);
+    if (!v.ok || !topupPaidInTime(topup, tx.blockTime)) {
+      console.warn(`watcher: ${txSig} matches top-up #${topup.id} but was rejected: ${v.reason || "paid after expiry"}`);
+      return true;
+    }
+    let units;
+    try {
+      units = creditTopup(topup, txSig, v.ledger);
+    } catch (e) {
+      return true; // already credited through the manual path
+    }
+    await notifyTopup(topup, units);
+    return true;
+  }
+
+  for (const inv of open) {
+    if (!txMatchesInvoice(tx, inv)) continue;
+
+    const v = checkPaymentTx(tx, inv);
+    if (!v.ok || !paidWithinWindow(inv, tx.blockTime)) {
+      console.warn(`watcher: ${txSig} matches invoice #${inv.id} but was rejected: ${v.reason || "paid after expiry"}`);
+      return true;
+    }
+
+    let r;
+    try {
+      r = recordInvoicePayment(inv, txSig, v.ledger);
+    } catch (e) {
+      return true; // already confirmed through the manual path
+    }
+    await notifyPayment(r);
+    return true;
+  }
+  return true;
+}
+
+async function scanTreasury() {
+  if (watcherBusy) return;
+  watcherBusy = true;
+
+  try {
+    for (const w of watchedAddresses()) {
+      const cursor = S.getSetting.get(w.cursorKey)?.v || null;
+      const sigs = await fetchNewSignatures(w.address, cursor);
+
+      for (const s of sigs) {
+        // not loadable yet -> stop here for this address; the cursor stays before it and the next run retries
+        if (!s.err && !S.hasPayment.get(s.signature) && !(await matchTreasuryTx(s.signature))) break;
+        // advance only after the signature was handled, so an RPC error retries it next run
+        S.setSetting.run(w.cursorKey, s.signature);
+      }
+    }
+  } finally {
+    watcherBusy = false;
+  }
+}
 
-// Every 30 minutes: reminders + kick
-cron.schedule("*/30 * * * *", async () => {
+// ===================== AUTOMATIONS (Reminders / win-back + Kick + Invoice expiry cleanup) =====================
+// cron.schedule + last run / error kept for /health
+function scheduleJob(name, expr, fn) {
+  cron.schedule(expr, async () => {
+    const t = nowTs();
+    try {
+      await fn();
+      runtime.jobs[name] = { last_run_at: t, ok: true, error: null };
+    } catch (e) {
+      runtime.jobs[name] = { last_run_at: t, ok: false, error: String(e.message || e) };
+      console.error(`${name} error:`, e.message || e);
+    }
+  });
+}
+
+// Every 30 minutes: reminders (pre-expiry, grace, win-back) + kick
+scheduleJob("reminders", "*/30 * * * *", async () => {
   const t = nowTs();
-  const graceSec = KICK_GRACE_HOURS_AFTER_EXPIRY * 3600;
 
   const users = S.listUsersWithSubs.all().map(r => r.tg_id);
 
@@ -740,63 +4050,150 @@ cron.schedule("*/30 * * * *", async () => {
     const subs = S.getSubs.all(String(tgId));
     if (!subs.length) continue;
 
-    // Reminders per subscription exactly 3 days before expiry
+    // Per subscription: auto-renew, else the next due stage of the product's reminder schedule
+    let postExpirySent = false;
     for (const s of subs) {
-      if (s.expires_at <= t) continue;
-
       const leftDays = Math.ceil((s.expires_at - t) / 86400);
-      if (leftDays !== REMINDER_DAYS_BEFORE) continue;
 
-      const last = s.last_reminder_at || 0;
-      if (t - last < 20 * 3600) continue; // anti-spam
+      // Auto-renew from the balance once the reminder window is reached (no reminder needed then)
+      let renew = null;
+      if (s.expires_at > t && s.auto_renew && leftDays <= REMINDER_DAYS_BEFORE) {
+        try {
+          renew = await renewFromBalance(tgId, s);
+        } catch (e) {
+          console.error(`auto-renew error (${tgId} ${s.product}):`, e.message || e);
+        }
+        if (renew?.ok) {
+          try {
+            await bot.telegram.sendMessage(tgId, tr(userLocale(tgId), "cron.renewed", {
+              product: productLabel(s.product), months: renew.months, amount: fmtUnits(renew.units, TOPUP_CURRENCY),
+              days: daysLeft(renew.newExpiry), balance: fmtUnits(creditBalance(tgId, TOPUP_CURRENCY), TOPUP_CURRENCY),
+            }));
+          } catch (_) {}
+          await afterInvoicePaid(renew.inv);
+          continue;
+        }
+      }
 
+      // One bad subscription (schedule, send error) must not stop the reminders of everyone after it
       try {
-        const p = PRODUCTS[s.product];
-        await bot.telegram.sendMessage(
-          tgId,
-          `⏳ Reminder: ${p?.icon || "•"} ${p?.name || s.product} expires in ${REMINDER_DAYS_BEFORE} days.\n` +
-          `Renew early to extend your remaining time.\n\n` +
-          `Open the bot and tap: Buy / Renew`
-        );
-        S.updateReminder.run(t, String(tgId), s.product);
-      } catch (_) {}
+        const sent = await sendDueReminder(tgId, s, renew?.needUnits
+          ? `${tr(userLocale(tgId), "cron.reminder_short", {
+            need: fmtUnits(renew.needUnits, TOPUP_CURRENCY), balance: fmtUnits(renew.balanceUnits, TOPUP_CURRENCY),
+          })}\n`
+          : "");
+        if (sent && sent.kind !== "before") postExpirySent = true;
+      } catch (e) {
+        console.error(`reminder error (${tgId} ${s.product}):`, e.message || e);
+      }
     }
 
-    // If no active subscriptions -> notice + kick after grace
+    // Per linked chat: remove once the products granting it lapsed + grace
+    await kickLapsed(tgId);
+
+    // If no active subscriptions -> notice (a grace / win-back DM just sent counts as today's)
     const anyActive = subs.some(s => s.expires_at > t);
     if (!anyActive) {
-      const latestExpiry = Math.max(...subs.map(s => s.expires_at));
-      const expiredSince = t - latestExpiry;
-
       const lastNotice = subs[0].last_expired_notice_at || 0;
-      if (t - lastNotice > 24 * 3600) {
+      if (postExpirySent) {
+        S.updateExpiredNotice.run(t, String(tgId));
+      } else if (t - lastNotice > 24 * 3600) {
+        // Renew buttons for the product that ended last
+        const lc = userLocale(tgId);
+        const latest = [...subs].sort((a, b) => b.expires_at - a.expires_at)[0];
+        const offer = renewalOffer(tgId, latest.product);
         try {
-          await bot.telegram.sendMessage(
-            tgId,
-            `⚠️ Your access has expired.\n` +
-            `To stay in the group, please renew your subscription.\n\n` +
-            `Open the bot and tap: Buy / Renew`
-          );
+          await bot.telegram.sendMessage(tgId, `${tr(lc, "cron.expired")}\n\n${offer ? offer.line : tr(lc, "cron.open_bot")}`, offer?.extra);
           S.updateExpiredNotice.run(t, String(tgId));
         } catch (_) {}
       }
-
-      if (expiredSince >= graceSec) {
-        await kickIfNoActive(tgId);
-      }
     }
   }
 });
 
+// Every 20 seconds: match incoming treasury payments to invoices
+scheduleJob("watcher", `*/${PAYMENT_WATCH_SECONDS} * * * * *`, () => scanTreasury());
+
+// Hourly: remove tracked members of linked chats who have no entitlement
+scheduleJob("member_audit", MEMBER_AUDIT_CRON, () => auditMembers());
+
 // Every 10 minutes: auto-expire old invoices (security + clarity)
-cron.schedule("*/10 * * * *", async () => {
-  try {
-    const cutoff = nowTs() - (INVOICE_EXPIRE_MINUTES * 60);
-    // Expire pending invoices older than cutoff
-    db.prepare(`UPDATE invoices SET status='expired' WHERE status='pending' AND created_at < ?`).run(cutoff);
-  } catch (_) {}
+scheduleJob("invoice_expiry", "*/10 * * * *", async () => {
+  const t = nowTs();
+  S.expireTopups.run(t - TOPUP_OPEN_HOURS * 3600);
+  // Expire pending / partly paid invoices past their window (one by one, each with its invoice.expired event)
+  for (const inv of S.listStaleOpen.all(t - INVOICE_EXPIRE_MINUTES * 60, t - PARTIAL_PAYMENT_HOURS * 3600)) {
+    const kept = expireInvoice(inv);
+    if (!kept) continue;
+    try {
+      await bot.telegram.sendMessage(
+        inv.tg_id,
+        tr(userLocale(inv.tg_id), "cron.invoice_expired", { id: inv.id, amount: fmtUnits(kept, inv.currency) })
+      );
+    } catch (_) {}
+  }
+});
+
+// Weekly: stats for the last 7 days to the owner
+scheduleJob("weekly_report", WEEKLY_REPORT_CRON, async () => {
+  const t = nowTs();
+  await bot.telegram.sendMessage(OWNER_ID, `🗓 Weekly report\n\n${textStats(buildReport(db, { from: t - secDays(7), to: t }))}`);
 });
 
+// Every 15 seconds: send queued webhook events (failures retry with backoff)
+scheduleJob("webhooks", `*/${WEBHOOK_DELIVER_SECONDS} * * * * *`, () => webhooks.deliverDue());
+
+// Every 5 seconds: next batch of queued broadcast messages
+scheduleJob("broadcasts", `*/${BROADCAST_SEND_SECONDS} * * * * *`, () => broadcasts.sendDue());
+
+// ===================== HTTP API =====================
+function healthReport() {
+  let dbOk = true;
+  let dbError = null;
+  try {
+    db.prepare(`SELECT 1`).get();
+  } catch (e) {
+    dbOk = false;
+    dbError = String(e.message || e);
+  }
+  const runs = Object.values(runtime.jobs).map(j => j.last_run_at);
+  return {
+    ok: runtime.polling && dbOk,
+    bot: { polling: runtime.polling, started_at: runtime.startedAt, last_update_at: runtime.lastUpdateAt },
+    db: { ok: dbOk, error: dbError },
+    last_cron_run_at: runs.length ? Math.max(...runs) : null,
+    jobs: runtime.jobs,
+  };
+}
+
+function startApi() {
+  const app = createApi({
+    db,
+    token: API_TOKEN,
+    health: healthReport,
+    maxMonths: MAX_MONTHS_PER_PURCHASE,
+    actions: {
+      getProduct,
+      async grant(tgId, product, months) {
+        const newExpiry = adminGrant("api", tgId, product, months);
+        await sendInvite(tgId);
+        return newExpiry;
+      },
+      async extend(tgId, product, days) {
+        const newExpiry = adminAdjust("api", tgId, product, days);
+        await sendInvite(tgId);
+        return newExpiry;
+      },
+      revoke: (tgId, product) => adminRevoke("api", tgId, product),
+      cancelInvoice: (id) => adminCancelInvoice("api", id),
+    },
+  });
+  app.listen(API_PORT, API_HOST, (err) => {
+    if (err) return console.error("❌ API listen error:", err.message || err);
+    console.log(`✅ HTTP API on http://${API_HOST}:${API_PORT}`);
+  });
+}
+
 // ===================== SAFE START =====================
 bot.catch((err) => {
   console.error("❌ Bot error:", err);
@@ -809,13 +4206,25 @@ bot.telegram.getMe()
 (async () => {
   try {
     // Drop pending updates -> avoids startup issues and reduces risk from backlog spam
-    await bot.launch({ dropPendingUpdates: true });
-    console.log("✅ Bot started (polling active)");
+    // chat_member + chat_join_request are not delivered unless requested explicitly
+    // launch() resolves only when polling stops -> "started" is reported from the onLaunch callback
+    await bot.launch({
+      dropPendingUpdates: true,
+      allowedUpdates: ["message", "callback_query", "chat_member", "chat_join_request"],
+    }, () => {
+      runtime.polling = true;
+      runtime.startedAt = nowTs();
+      console.log("✅ Bot started (polling active)");
+    });
   } catch (err) {
     console.error("❌ bot.launch error:", err);
+  } finally {
+    runtime.polling = false;
   }
 })();
 
+if (API_PORT) startApi();
+
 process.once("SIGINT", () => bot.stop("SIGINT"));
 process.once("SIGTERM", () => bot.stop("SIGTERM"));
 
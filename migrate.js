@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Schema migrations for accessra.db.
+ *
+ * - migrations/NNN_name.js, applied in number order; each exports { up(db) } (sync, better-sqlite3)
+ * - schema_version keeps one row per applied migration
+ * - pending migrations run in ONE transaction: all of them apply, or none
+ * - before migrating an existing database a copy is written with VACUUM INTO (<db>.bak-v<version>-<timestamp>)
+ *
+ * At boot index.js calls migrate(db, { dbPath }). CLI:
+ *   node migrate.js status            applied + pending migrations (read-only)
+ *   node migrate.js up                backup + apply pending
+ *   node migrate.js dry-run           apply pending inside a transaction, then roll back
+ *   --db <path>                       database file (default: DB_PATH or accessra.db)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// For migrations that must also work on databases created before migrations existed
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function addColumnIfMissing(db, table, column, ddl) {
+  if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = fs.readdirSync(dir)
+    .map(file => ({ file, m: /^(\d+)_([\w-]+)\.js$/.exec(file) }))
+    .filter(x => x.m)
+    .map(({ file, m }) => ({ version: Number(m[1]), name: m[2], file, up: require(path.join(dir, file)).up }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) throw new Error(`Duplicate migration number ${list[i].version}`);
+  }
+  for (const m of list) {
+    if (typeof m.up !== "function") throw new Error(`Migration ${m.file} does not export up(db)`);
+  }
+  return list;
+}
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+}
+
+// Read-only: a database without schema_version is reported as unversioned (versioned: false), not changed
+function status(db, dir) {
+  const versioned = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_version'`).get();
+  const applied = versioned ? db.prepare(`SELECT * FROM schema_version ORDER BY version`).all() : [];
+  const done = new Set(applied.map(r => r.version));
+  const pending = loadMigrations(dir).filter(m => !done.has(m.version));
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+  return { versioned, current, applied, pending };
+}
+
+function backupPath(dbPath, version) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "").replace("T", "-");
+  return `${dbPath}.bak-v${version}-${stamp}`;
+}
+
+// Fresh database (no tables besides schema_version) -> nothing worth a backup
+function isEmpty(db) {
+  return !db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name NOT IN ('schema_version', 'sqlite_sequence') LIMIT 1`).get();
+}
+
+function applyAll(db, pending) {
+  const t = Math.floor(Date.now() / 1000);
+  const mark = db.prepare(`INSERT INTO schema_version(version, name, applied_at) VALUES (?, ?, ?)`);
+  for (const m of pending) {
+    m.up(db);
+    mark.run(m.version, m.name, t);
+  }
+}
+
+/**
+ * Applies pending migrations. Returns { from, to, applied: [files], backup }.
+ * opts: dbPath (for the backup file), backup (default true), dryRun, dir, log
+ */
+function migrate(db, { dbPath, backup = true, dryRun = false, dir, log = () => {} } = {}) {
+  const { current, pending } = status(db, dir);
+  const result = { from: current, to: current, applied: pending.map(m => m.file), backup: null };
+  if (!pending.length) return result;
+
+  if (dryRun) {
+    db.exec("BEGIN");
+    try {
+      ensureVersionTable(db);
+      applyAll(db, pending);
+    } finally {
+      db.exec("ROLLBACK");
+    }
+    result.to = pending[pending.length - 1].version;
+    return result;
+  }
+
+  if (backup && dbPath && dbPath !== ":memory:" && !isEmpty(db)) {
+    result.backup = backupPath(dbPath, current);
+    db.prepare(`VACUUM INTO ?`).run(result.backup);
+    log(`💾 Backup before migrating: ${result.backup}`);
+  }
+
+  db.transaction(() => {
+    ensureVersionTable(db);
+    applyAll(db, pending);
+  })();
+  result.to = pending[pending.length - 1].version;
+  log(`✅ Schema migrated v${result.from} -> v${result.to} (${result.applied.join(", ")})`);
+  return result;
+}
+
+module.exports = { migrate, status, loadMigrations, hasColumn, addColumnIfMissing };
+
+// ===================== CLI =====================
+if (require.main === module) {
+  require("dotenv").config();
+  const Database = require("better-sqlite3");
+
+  const args = process.argv.slice(2);
+  const dbFlag = args.indexOf("--db");
+  const dbPath = dbFlag >= 0 ? args[dbFlag + 1] : (process.env.DB_PATH || "accessra.db");
+  const cmd = args.find((a, i) => !a.startsWith("--") && !(dbFlag >= 0 && i === dbFlag + 1)) || "status";
+
+  if (!["status", "up", "dry-run"].includes(cmd)) {
+    console.error("Usage: node migrate.js [status|up|dry-run] [--db <path>]");
+    process.exit(1);
+  }
+
+  if (cmd === "status" && !fs.existsSync(dbPath)) {
+    console.error(`❌ No database at ${dbPath}`);
+    process.exit(1);
+  }
+  const db = new Database(dbPath, cmd === "status" ? { readonly: true } : {});
+  try {
+    if (cmd === "status") {
+      const s = status(db);
+      console.log(`Database: ${dbPath}\nCurrent version: ${s.versioned ? s.current : "unversioned (no schema_version table)"}\n`);
+      for (const r of s.applied) console.log(`  ✔ ${String(r.version).padStart(3, "0")}_${r.name}  (${new Date(r.applied_at * 1000).toISOString()})`);
+      for (const m of s.pending) console.log(`  … ${m.file}  (pending)`);
+      if (!s.pending.length) console.log("\nUp to date.");
+    } else {
+      const r = migrate(db, { dbPath, dryRun: cmd === "dry-run", log: console.log });
+      if (!r.applied.length) console.log("Up to date.");
+      else if (cmd === "dry-run") console.log(`Dry run OK: v${r.from} -> v${r.to} would apply ${r.applied.join(", ")} (rolled back)`);
+    }
+  } catch (e) {
+    console.error(`❌ ${cmd} failed:`, e.message || e);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
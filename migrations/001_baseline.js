@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * Baseline: the schema as it stood when migrations were introduced.
+ *
+ * Idempotent on purpose: databases from before migrations already have some or all of it
+ * (tables from CREATE TABLE IF NOT EXISTS, columns from the old startup ALTERs).
+ * Later migrations can assume this exact shape and use plain ALTER / CREATE.
+ */
+
+const { addColumnIfMissing } = require("../migrate");
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      k TEXT PRIMARY KEY,
+      v TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      tg_id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      username TEXT,               -- lowercase, without @ (for admin lookups)
+      ref_code TEXT,               -- own referral code (created on first visit to Refer & Earn)
+      referred_by TEXT,            -- tg_id of the referrer
+      referred_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      tg_id TEXT NOT NULL,
+      product TEXT NOT NULL,
+      setup_paid INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL,
+      last_reminder_at INTEGER,
+      last_expired_notice_at INTEGER,
+      PRIMARY KEY (tg_id, product)
+    );
+
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tg_id TEXT NOT NULL,
+      product TEXT NOT NULL,
+      months INTEGER NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'SOL',
+      amount REAL,                 -- in invoice currency
+      amount_sol REAL NOT NULL,    -- SOL invoices only (0 for token invoices)
+      price_usd REAL,              -- USD price the amount was converted from (after discount)
+      promo_code TEXT,
+      discount_usd REAL,
+      bonus_days INTEGER,
+      admin_note TEXT,             -- reason for a manual mark-paid / refund
+      rate_usd REAL,               -- USD per 1 unit of invoice currency (SOL rate), locked at creation
+      memo TEXT NOT NULL,
+      reference TEXT,              -- Solana Pay reference pubkey (NULL = legacy memo invoice)
+      status TEXT NOT NULL,        -- pending | paid | cancelled | expired | refunded
+      created_at INTEGER NOT NULL,
+      paid_at INTEGER,
+      tx_sig TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS payments (
+      tx_sig TEXT PRIMARY KEY,
+      invoice_id INTEGER,
+      payer TEXT,                  -- sender wallet (transfer source / token authority, else fee payer)
+      currency TEXT,
+      lamports INTEGER,            -- SOL received by the treasury in this tx
+      token_amount INTEGER,        -- SPL tokens received (raw base units), token invoices only
+      slot INTEGER,
+      block_time INTEGER,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+      key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      icon TEXT NOT NULL,
+      setup_usd REAL NOT NULL,
+      monthly_usd REAL NOT NULL,
+      durations TEXT NOT NULL,     -- allowed months, comma-separated (e.g. 1,3,5,12)
+      includes TEXT,               -- bundle: comma-separated product keys it also grants
+      active INTEGER NOT NULL DEFAULT 1,
+      sort INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      code TEXT PRIMARY KEY,       -- uppercase
+      kind TEXT NOT NULL,          -- percent | fixed | setup_waiver | bonus_days
+      value REAL NOT NULL,         -- percent off, USD off, or bonus days (0 for setup_waiver)
+      product TEXT,                -- NULL = any product
+      months INTEGER,              -- NULL = any duration
+      max_uses INTEGER,            -- NULL = unlimited (counted on paid invoices)
+      per_user INTEGER,            -- NULL = unlimited
+      starts_at INTEGER,
+      ends_at INTEGER,
+      revoked_at INTEGER,
+      created_by TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS promo_redemptions (
+      code TEXT NOT NULL,
+      tg_id TEXT NOT NULL,
+      invoice_id INTEGER NOT NULL UNIQUE,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS product_chats (
+      chat_id TEXT NOT NULL,
+      product TEXT NOT NULL,       -- product key, or * = any active subscription
+      title TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (chat_id, product)
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_members (
+      chat_id TEXT NOT NULL,
+      tg_id TEXT NOT NULL,
+      status TEXT NOT NULL,        -- member | admin | left | removed
+      joined_at INTEGER,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (chat_id, tg_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS referral_rewards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      referrer_id TEXT NOT NULL,
+      referred_id TEXT NOT NULL UNIQUE,  -- one reward per referred user (first paid invoice)
+      invoice_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,          -- days | commission
+      days INTEGER,
+      product TEXT,                -- subscription the bonus days went to
+      amount_sol REAL,
+      status TEXT NOT NULL,        -- credited (days applied) | owed | paid
+      created_at INTEGER NOT NULL,
+      paid_at INTEGER,
+      payout_tx TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,        -- HMAC key
+      events TEXT NOT NULL,        -- CSV of event types or '*'
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,       -- JSON body, signed as-is
+      status TEXT NOT NULL,        -- pending | delivered | failed
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      last_status INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      delivered_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id INTEGER NOT NULL,
+      attempt INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS staff (
+      tg_id TEXT PRIMARY KEY,
+      role TEXT NOT NULL,          -- owner | admin | support | readonly
+      added_by TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_id TEXT,
+      details TEXT,                -- JSON
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS user_state (
+      tg_id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,         -- none | awaiting_tx | awaiting_promo
+      invoice_id INTEGER,
+      draft TEXT,                  -- JSON for multi-step input (e.g. {product, months} while entering a code)
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  // Columns added over time before migrations (no-ops on fresh databases)
+  addColumnIfMissing(db, "invoices", "reference", "TEXT");
+  addColumnIfMissing(db, "invoices", "currency", "TEXT NOT NULL DEFAULT 'SOL'");
+  addColumnIfMissing(db, "invoices", "amount", "REAL");
+  db.exec(`UPDATE invoices SET amount = amount_sol WHERE amount IS NULL`);
+  addColumnIfMissing(db, "invoices", "price_usd", "REAL");
+  addColumnIfMissing(db, "invoices", "rate_usd", "REAL");
+  addColumnIfMissing(db, "invoices", "promo_code", "TEXT");
+  addColumnIfMissing(db, "invoices", "discount_usd", "REAL");
+  addColumnIfMissing(db, "invoices", "bonus_days", "INTEGER");
+  addColumnIfMissing(db, "user_state", "draft", "TEXT");
+  addColumnIfMissing(db, "users", "ref_code", "TEXT");
+  addColumnIfMissing(db, "users", "referred_by", "TEXT");
+  addColumnIfMissing(db, "users", "referred_at", "INTEGER");
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_ref_code ON users(ref_code)`);
+  addColumnIfMissing(db, "users", "username", "TEXT");
+  addColumnIfMissing(db, "invoices", "admin_note", "TEXT");
+  addColumnIfMissing(db, "payments", "invoice_id", "INTEGER");
+  addColumnIfMissing(db, "payments", "payer", "TEXT");
+  addColumnIfMissing(db, "payments", "currency", "TEXT");
+  addColumnIfMissing(db, "payments", "lamports", "INTEGER");
+  addColumnIfMissing(db, "payments", "token_amount", "INTEGER");
+  addColumnIfMissing(db, "payments", "slot", "INTEGER");
+  addColumnIfMissing(db, "payments", "block_time", "INTEGER");
+  db.exec(`UPDATE payments SET invoice_id = (SELECT id FROM invoices WHERE invoices.tx_sig = payments.tx_sig) WHERE invoice_id IS NULL`);
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_reference ON invoices(reference)`);
+
+  // Single group from the old `group_id` setting -> linked for any subscription
+  const legacyGroup = db.prepare(`SELECT v FROM settings WHERE k='group_id'`).get();
+  if (legacyGroup) {
+    db.prepare(`INSERT OR IGNORE INTO product_chats(chat_id, product, title, created_at) VALUES (?, '*', NULL, ?)`)
+      .run(legacyGroup.v, Math.floor(Date.now() / 1000));
+    db.prepare(`DELETE FROM settings WHERE k='group_id'`).run();
+  }
+}
+
+module.exports = { up };
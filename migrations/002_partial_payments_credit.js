@@ -0,0 +1,41 @@
+"use strict";
+
+/**
+ * Partial payments + account credit.
+ *
+ * - invoices.received_units: raw units (lamports / token base units) received on-chain so far;
+ *   an underpaid invoice moves to status 'partial' until a follow-up tx covers the rest
+ * - invoices.credit_units: account credit spent on the invoice at creation (amount = what is left to pay on-chain)
+ * - invoices.refunded_at
+ * - credit_ledger: signed per-user, per-currency credit movements; the balance is SUM(units)
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE invoices ADD COLUMN received_units INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE invoices ADD COLUMN credit_units INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE invoices ADD COLUMN refunded_at INTEGER;
+
+    CREATE TABLE credit_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tg_id TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      units INTEGER NOT NULL,      -- raw base units, + credit / - spent
+      kind TEXT NOT NULL,          -- overpayment | underpayment | applied | released | to_days | refund
+      invoice_id INTEGER,
+      note TEXT,
+      created_by TEXT,             -- staff id for manual entries
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_credit_ledger_user ON credit_ledger(tg_id, currency);
+    CREATE INDEX idx_credit_ledger_invoice ON credit_ledger(invoice_id);
+  `);
+
+  // Paid invoices from before this migration received their full amount
+  db.exec(`
+    UPDATE invoices SET received_units = CAST(ROUND(amount * CASE currency WHEN 'SOL' THEN 1e9 ELSE 1e6 END) AS INTEGER)
+    WHERE status IN ('paid', 'refunded') AND tx_sig IS NOT NULL
+  `);
+}
+
+module.exports = { up };
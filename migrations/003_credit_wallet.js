@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * Prepaid wallet on top of credit_ledger.
+ *
+ * - topups: one Solana Pay request (own reference key, no fixed amount) per top-up; the first
+ *   matching transaction credits whatever it sent
+ * - payments.topup_id: payments that funded a top-up instead of an invoice
+ * - subscriptions.auto_renew: renew from the balance when the reminder is due
+ *
+ * New credit_ledger kinds (no schema change): topup | grant (staff, signed) | referral
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE topups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tg_id TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      reference TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL,        -- open | credited | expired
+      units INTEGER,               -- raw units credited
+      tx_sig TEXT,
+      created_at INTEGER NOT NULL,
+      credited_at INTEGER
+    );
+    CREATE INDEX idx_topups_open ON topups(status, created_at);
+
+    ALTER TABLE payments ADD COLUMN topup_id INTEGER;
+    ALTER TABLE subscriptions ADD COLUMN auto_renew INTEGER NOT NULL DEFAULT 0;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,17 @@
+"use strict";
+
+/**
+ * Upgrades (e.g. security + alerts -> bundle): the invoice remembers which subscriptions it replaces.
+ *
+ * - invoices.upgrade_from: comma-separated products ended when the invoice is paid
+ * - invoices.upgrade_usd: unused value of those subscriptions credited toward the price
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE invoices ADD COLUMN upgrade_from TEXT;
+    ALTER TABLE invoices ADD COLUMN upgrade_usd REAL;
+  `);
+}
+
+module.exports = { up };
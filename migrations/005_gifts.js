@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * Gift purchases.
+ *
+ * - invoices.gift: paying the invoice creates a gift code instead of activating the buyer
+ * - gift_codes: one per paid gift invoice, bound to product + months (not to a user); the first
+ *   /redeem (or gift_<code> deep link) activates it for whoever sends it
+ * - setup_usd: setup fee included in the price; a recipient who already paid that product's
+ *   setup gets it as extra days instead (setup_days, set at redemption)
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE invoices ADD COLUMN gift INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE gift_codes (
+      code TEXT PRIMARY KEY,
+      product TEXT NOT NULL,
+      months INTEGER NOT NULL,
+      bonus_days INTEGER NOT NULL DEFAULT 0,
+      setup_usd REAL NOT NULL DEFAULT 0,
+      invoice_id INTEGER NOT NULL UNIQUE,
+      purchased_by TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      redeemed_by TEXT,
+      redeemed_at INTEGER,
+      setup_days INTEGER NOT NULL DEFAULT 0,
+      revoked_at INTEGER
+    );
+    CREATE INDEX idx_gift_codes_buyer ON gift_codes(purchased_by);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+"use strict";
+
+/**
+ * Per-user UI language.
+ *
+ * - users.language_code: last language Telegram reported for the user (ctx.from.language_code);
+ *   lets cron DMs use it without an update in hand
+ * - users.locale: explicit choice from the 🌐 Language menu (NULL = follow language_code)
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN language_code TEXT;
+    ALTER TABLE users ADD COLUMN locale TEXT;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,43 @@
+"use strict";
+
+/**
+ * Owner broadcasts (see broadcasts.js).
+ *
+ * - broadcasts: the message (text / caption + entities, photo file_id, URL buttons as JSON) and its audience
+ * - broadcast_recipients: audience snapshot taken at creation = the send queue (pending | sent | failed | blocked)
+ * - users.blocked_at: set when Telegram answers 403 (bot blocked / account deleted), cleared when the user
+ *   writes to the bot again; blocked users are left out of audiences
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE broadcasts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      text TEXT,
+      entities TEXT,
+      photo TEXT,
+      buttons TEXT,
+      audience TEXT NOT NULL,      -- all | product:<key> | expired:<days> | never
+      status TEXT NOT NULL,        -- sending | done | cancelled
+      total INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      finished_at INTEGER
+    );
+
+    CREATE TABLE broadcast_recipients (
+      broadcast_id INTEGER NOT NULL,
+      tg_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      sent_at INTEGER,
+      PRIMARY KEY (broadcast_id, tg_id)
+    );
+    CREATE INDEX idx_broadcast_recipients_status ON broadcast_recipients(status, broadcast_id);
+
+    ALTER TABLE users ADD COLUMN blocked_at INTEGER;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,37 @@
+"use strict";
+
+/**
+ * Per-product renewal reminder schedule + a log of what was sent.
+ *
+ * - products.reminders: schedule spec, e.g. "-7,-3,-1,grace,+3:COMEBACK,+14"
+ *   (-N days before expiry, grace = before the kick, +N days after expiry with an optional promo);
+ *   NULL = the default schedule
+ * - reminder_log: one row per stage per subscription period (expires_at), so a stage is sent once
+ *   and a renewal (new expires_at) starts over. status: sent | superseded (a later stage was due
+ *   too, e.g. after downtime) | blocked
+ *
+ * Reminders already sent under the old fixed 3-day rule are logged as before:3 so they are not repeated.
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE products ADD COLUMN reminders TEXT;
+
+    CREATE TABLE reminder_log (
+      tg_id TEXT NOT NULL,
+      product TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      stage TEXT NOT NULL,         -- before:<days> | grace | winback:<days>
+      status TEXT NOT NULL,
+      promo_code TEXT,
+      sent_at INTEGER NOT NULL,
+      PRIMARY KEY (tg_id, product, expires_at, stage)
+    );
+
+    INSERT INTO reminder_log(tg_id, product, expires_at, stage, status, sent_at)
+    SELECT tg_id, product, expires_at, 'before:3', 'sent', last_reminder_at FROM subscriptions
+    WHERE last_reminder_at IS NOT NULL AND last_reminder_at >= expires_at - 4 * 86400;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+ * Free trials.
+ *
+ * - products.trial_days: length of the product's free trial (0 = no trial)
+ * - trials: one row per user and product, ever (the one-trial rule); the trial itself is a normal
+ *   subscriptions row (setup_paid stays 0) ending at ends_at, so invites / kicks work as usual.
+ *   status: pending (waiting for staff approval) | started | denied | converted (paid for it later)
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE products ADD COLUMN trial_days INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE trials (
+      tg_id TEXT NOT NULL,
+      product TEXT NOT NULL,
+      days INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      requested_at INTEGER NOT NULL,
+      decided_by TEXT,             -- staff who approved / denied (NULL = started without approval)
+      started_at INTEGER,
+      ends_at INTEGER,
+      converted_at INTEGER,
+      PRIMARY KEY (tg_id, product)
+    );
+    CREATE INDEX idx_trials_status ON trials(status);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+"use strict";
+
+/**
+ * Owner + treasury for databases from before they moved to .env / settings.
+ *
+ * Older versions had both hard-coded; an existing database (it has users or invoices) gets those
+ * values as settings owner_id / treasury_address so the upgrade keeps running as before.
+ * Fresh installs get nothing: they must set OWNER_ID and TREASURY_SOL_ADDRESS (see README).
+ * .env still wins over these rows.
+ */
+
+const LEGACY_OWNER_ID = "6905624065";
+const LEGACY_TREASURY = "EyTtALk3AJubxGgkEvkkU4cJQcQuke8ovGV3AucuGs3J";
+
+function up(db) {
+  const existing = db.prepare(`SELECT EXISTS (SELECT 1 FROM users) OR EXISTS (SELECT 1 FROM invoices) AS yes`).get().yes;
+  if (!existing) return;
+  const seed = db.prepare(`INSERT OR IGNORE INTO settings(k, v) VALUES (?, ?)`);
+  seed.run("owner_id", LEGACY_OWNER_ID);
+  seed.run("treasury_address", LEGACY_TREASURY);
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+"use strict";
+
+/**
+ * invoices.upgrade_ended: JSON { product: expires_at } of the subscriptions an upgrade invoice ended when
+ * it was paid, so a refund can give them their remaining time back. NULL on upgrade invoices paid before
+ * this (those cannot be refunded automatically).
+ */
+
+function up(db) {
+  db.exec(`ALTER TABLE invoices ADD COLUMN upgrade_ended TEXT;`);
+}
+
+module.exports = { up };
@@ -0,0 +1,67 @@
+"use strict";
+
+/**
+ * Price oracle — USD value of 1 unit of a payment currency.
+ *
+ * Providers (PRICE_ORACLE):
+ * - coingecko (default): live rate from the CoinGecko simple price API, cached for PRICE_CACHE_SECONDS
+ * - fixed: static rates, no network (local runs without internet access), e.g. FIXED_SOL_USD=150
+ *
+ * Every provider exposes the same shape: { name, getUsdRate(currency) -> Promise<number> }; a new provider
+ * only has to return that shape from createPriceOracle.
+ */
+
+const COINGECKO_URL = "https://api.coingecko.com/api/v3/simple/price";
+const COINGECKO_IDS = { SOL: "solana" };
+
+function createFixedOracle(rates) {
+  return {
+    name: "fixed",
+    async getUsdRate(currency) {
+      const rate = Number(rates[currency]);
+      if (!(rate > 0)) throw new Error(`No fixed USD rate for ${currency}`);
+      return rate;
+    },
+  };
+}
+
+function createCoinGeckoOracle({ cacheSeconds = 60, timeoutMs = 5000 } = {}) {
+  const cache = new Map(); // currency -> { rate, at }
+
+  return {
+    name: "coingecko",
+    async getUsdRate(currency) {
+      const id = COINGECKO_IDS[currency];
+      if (!id) throw new Error(`No CoinGecko id for ${currency}`);
+
+      const hit = cache.get(currency);
+      if (hit && Date.now() - hit.at < cacheSeconds * 1000) return hit.rate;
+
+      const res = await fetch(`${COINGECKO_URL}?ids=${id}&vs_currencies=usd`, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`CoinGecko HTTP ${res.status}`);
+
+      const json = await res.json();
+      const rate = Number(json?.[id]?.usd);
+      if (!(rate > 0)) throw new Error(`CoinGecko returned no USD price for ${currency}`);
+
+      cache.set(currency, { rate, at: Date.now() });
+      return rate;
+    },
+  };
+}
+
+function createPriceOracle(env = process.env) {
+  const kind = String(env.PRICE_ORACLE || "coingecko").toLowerCase();
+
+  if (kind === "fixed") {
+    return createFixedOracle({ SOL: env.FIXED_SOL_USD || 150 });
+  }
+  if (kind === "coingecko") {
+    return createCoinGeckoOracle({ cacheSeconds: Number(env.PRICE_CACHE_SECONDS || 60) });
+  }
+  throw new Error(`Unknown PRICE_ORACLE "${kind}" (use coingecko or fixed)`);
+}
+
+module.exports = { createPriceOracle, createFixedOracle, createCoinGeckoOracle };
@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Revenue + subscription analytics, computed from invoices / subscriptions (no extra tables).
+ *
+ * buildReport(db, { from, to, now }) -> plain object (unix seconds in, numbers out):
+ * - revenue: USD of invoices paid in [from, to] (status 'paid', refunds excluded), by product / day / month,
+ *   plus the amount received per currency
+ * - customers: paying users in the range, new (first paid invoice ever) vs renewing
+ * - subscribers: active now / at the end of the range; churn = subscribers active at the start
+ *   whose access lapsed in the range and was not renewed
+ * - invoices: created in the range by status + conversion ((paid + refunded) / created)
+ *
+ * Subscriptions keep only the latest expiry, so churn is "still lapsed today", not a history replay.
+ */
+
+// USD value of an invoice; invoices from before USD pricing fall back to amount * locked rate
+const USD = "COALESCE(price_usd, amount * rate_usd, 0)";
+
+function buildReport(db, { from, to, now = Math.floor(Date.now() / 1000) }) {
+  const range = { from, to };
+
+  const revenueTotal = db.prepare(`
+    SELECT COUNT(*) AS invoices, COALESCE(SUM(${USD}), 0) AS usd
+    FROM invoices WHERE status='paid' AND paid_at BETWEEN @from AND @to
+  `).get(range);
+
+  const byProduct = db.prepare(`
+    SELECT product, COUNT(*) AS invoices, SUM(${USD}) AS usd
+    FROM invoices WHERE status='paid' AND paid_at BETWEEN @from AND @to
+    GROUP BY product ORDER BY usd DESC
+  `).all(range);
+
+  const byCurrency = db.prepare(`
+    SELECT currency, COUNT(*) AS invoices, SUM(amount) AS amount
+    FROM invoices WHERE status='paid' AND paid_at BETWEEN @from AND @to
+    GROUP BY currency ORDER BY currency
+  `).all(range);
+
+  const byPeriod = (fmt) => db.prepare(`
+    SELECT strftime('${fmt}', paid_at, 'unixepoch') AS period, COUNT(*) AS invoices, SUM(${USD}) AS usd
+    FROM invoices WHERE status='paid' AND paid_at BETWEEN @from AND @to
+    GROUP BY period ORDER BY period
+  `).all(range);
+
+  // first paid invoice per user decides new vs renewing
+  const customers = db.prepare(`
+    WITH firsts AS (SELECT tg_id, MIN(paid_at) AS first_paid FROM invoices WHERE status='paid' GROUP BY tg_id),
+         payers AS (SELECT DISTINCT tg_id FROM invoices WHERE status='paid' AND paid_at BETWEEN @from AND @to)
+    SELECT COUNT(*) AS paying,
+           COALESCE(SUM(f.first_paid >= @from), 0) AS new,
+           COALESCE(SUM(f.first_paid < @from), 0) AS renewing
+    FROM payers p JOIN firsts f ON f.tg_id = p.tg_id
+  `).get(range);
+
+  // latest expiry per user across products
+  const subscribers = db.prepare(`
+    WITH latest AS (SELECT tg_id, MAX(expires_at) AS expires_at FROM subscriptions GROUP BY tg_id),
+         firsts AS (SELECT tg_id, MIN(paid_at) AS first_paid FROM invoices WHERE status='paid' GROUP BY tg_id)
+    SELECT
+      COALESCE(SUM(l.expires_at > @now), 0) AS active_now,
+      COALESCE(SUM(l.expires_at > @to AND COALESCE(f.first_paid, 0) <= @to), 0) AS active_at_end,
+      COALESCE(SUM(l.expires_at > @from AND COALESCE(f.first_paid, 0) < @from), 0) AS active_at_start,
+      COALESCE(SUM(l.expires_at BETWEEN @from AND @to AND l.expires_at <= @now AND COALESCE(f.first_paid, 0) < @from), 0) AS churned
+    FROM latest l LEFT JOIN firsts f ON f.tg_id = l.tg_id
+  `).get({ ...range, now });
+
+  const invoiceRows = db.prepare(`
+    SELECT status, COUNT(*) AS n FROM invoices WHERE created_at BETWEEN @from AND @to GROUP BY status
+  `).all(range);
+  const invoices = { created: 0, paid: 0, expired: 0, cancelled: 0, pending: 0, refunded: 0 };
+  for (const r of invoiceRows) {
+    invoices[r.status] = r.n;
+    invoices.created += r.n;
+  }
+
+  return {
+    from,
+    to,
+    revenue: {
+      usd: revenueTotal.usd,
+      invoices: revenueTotal.invoices,
+      byProduct,
+      byCurrency,
+      byDay: byPeriod("%Y-%m-%d"),
+      byMonth: byPeriod("%Y-%m"),
+    },
+    customers,
+    subscribers: {
+      ...subscribers,
+      churnRate: subscribers.active_at_start ? subscribers.churned / subscribers.active_at_start : 0,
+    },
+    invoices: {
+      ...invoices,
+      // refunded invoices were paid once
+      conversion: invoices.created ? (invoices.paid + invoices.refunded) / invoices.created : 0,
+    },
+  };
+}
+
+module.exports = { buildReport };
@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * Outbound webhooks — signed JSON events with a persistent retry queue.
+ *
+ * emit() only queues rows in webhook_deliveries (safe inside a db.transaction: a rolled back
+ * payment leaves no event behind). deliverDue() sends what is due and reschedules failures
+ * with exponential backoff; every attempt lands in webhook_attempts (the delivery log).
+ *
+ * Request: POST <url>, body = { id, type, created_at, data }
+ * Headers:
+ * - X-Accessra-Event: <type>
+ * - X-Accessra-Delivery: <delivery id> (same id on every retry)
+ * - X-Accessra-Signature: t=<unix ts>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+ *
+ * Any 2xx response counts as delivered.
+ */
+
+const crypto = require("crypto");
+
+const EVENTS = [
+  "invoice.created",
+  "invoice.paid",
+  "invoice.expired",
+  "subscription.activated",
+  "subscription.renewed",
+  "subscription.expiring",
+  "trial.started",
+  "member.removed",
+];
+
+function sign(secret, ts, body) {
+  return crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+}
+
+function createWebhooks({ db, maxAttempts = 8, baseDelaySeconds = 30, maxDelaySeconds = 6 * 3600, timeoutMs = 10_000, batchSize = 20 }) {
+  const nowTs = () => Math.floor(Date.now() / 1000);
+
+  const q = {
+    addEndpoint: db.prepare(`INSERT INTO webhook_endpoints(url, secret, events, active, created_by, created_at) VALUES (?, ?, ?, 1, ?, ?)`),
+    removeEndpoint: db.prepare(`UPDATE webhook_endpoints SET active=0 WHERE id=? AND active=1`),
+    listEndpoints: db.prepare(`SELECT * FROM webhook_endpoints WHERE active=1 ORDER BY id`),
+    getEndpoint: db.prepare(`SELECT * FROM webhook_endpoints WHERE id=?`),
+    enqueue: db.prepare(`
+      INSERT INTO webhook_deliveries(endpoint_id, event_id, event, payload, status, attempts, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+    `),
+    listDue: db.prepare(`SELECT * FROM webhook_deliveries WHERE status='pending' AND next_attempt_at <= ? ORDER BY id LIMIT ?`),
+    markDelivered: db.prepare(`UPDATE webhook_deliveries SET status='delivered', attempts=?, last_status=?, last_error=NULL, delivered_at=? WHERE id=?`),
+    markRetry: db.prepare(`UPDATE webhook_deliveries SET status=?, attempts=?, last_status=?, last_error=?, next_attempt_at=? WHERE id=?`),
+    requeue: db.prepare(`UPDATE webhook_deliveries SET status='pending', next_attempt_at=? WHERE id=? AND status='failed'`),
+    addAttempt: db.prepare(`
+      INSERT INTO webhook_attempts(delivery_id, attempt, status_code, error, duration_ms, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    recentDeliveries: db.prepare(`SELECT * FROM webhook_deliveries ORDER BY id DESC LIMIT ?`),
+  };
+
+  let busy = false;
+
+  function subscribed(endpoint, type) {
+    return endpoint.events === "*" || endpoint.events.split(",").includes(type);
+  }
+
+  // Queue one event for every active endpoint subscribed to it
+  function emit(type, data) {
+    const t = nowTs();
+    const event = { id: `evt_${crypto.randomBytes(12).toString("hex")}`, type, created_at: t, data };
+    const payload = JSON.stringify(event);
+    for (const e of q.listEndpoints.all()) {
+      if (subscribed(e, type)) q.enqueue.run(e.id, event.id, type, payload, t, t);
+    }
+    return event.id;
+  }
+
+  function backoff(attempts) {
+    return Math.min(baseDelaySeconds * 2 ** (attempts - 1), maxDelaySeconds);
+  }
+
+  async function deliver(d) {
+    const endpoint = q.getEndpoint.get(d.endpoint_id);
+    const attempt = d.attempts + 1;
+    const t = nowTs();
+
+    if (!endpoint || !endpoint.active) {
+      q.markRetry.run("failed", attempt, null, "endpoint removed", t, d.id);
+      return;
+    }
+
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+      const res = await fetch(endpoint.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "Accessra-Webhooks/1",
+          "x-accessra-event": d.event,
+          "x-accessra-delivery": String(d.id),
+          "x-accessra-signature": `t=${t},v1=${sign(endpoint.secret, t, d.payload)}`,
+        },
+        body: d.payload,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      statusCode = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (e) {
+      error = String(e.cause?.code || e.message || e);
+    }
+
+    q.addAttempt.run(d.id, attempt, statusCode, error, Date.now() - started, t);
+    if (!error) {
+      q.markDelivered.run(attempt, statusCode, nowTs(), d.id);
+    } else if (attempt >= maxAttempts) {
+      q.markRetry.run("failed", attempt, statusCode, error, t, d.id);
+    } else {
+      q.markRetry.run("pending", attempt, statusCode, error, t + backoff(attempt), d.id);
+    }
+  }
+
+  // Send everything that is due (one run at a time)
+  async function deliverDue() {
+    if (busy) return 0;
+    busy = true;
+    try {
+      const due = q.listDue.all(nowTs(), batchSize);
+      for (const d of due) await deliver(d);
+      return due.length;
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    emit,
+    deliverDue,
+    addEndpoint(url, events, createdBy) {
+      const secret = crypto.randomBytes(24).toString("hex");
+      const info = q.addEndpoint.run(url, secret, events, createdBy ? String(createdBy) : null, nowTs());
+      return { id: Number(info.lastInsertRowid), secret };
+    },
+    removeEndpoint: (id) => q.removeEndpoint.run(id).changes === 1,
+    listEndpoints: () => q.listEndpoints.all(),
+    recentDeliveries: (n) => q.recentDeliveries.all(n),
+    retry: (deliveryId) => q.requeue.run(nowTs(), deliveryId).changes === 1,
+  };
+}
+
+module.exports = { createWebhooks, EVENTS, sign };